@@ -1,6 +1,6 @@
 import { config } from './config.js';
 import { logger } from './logger.js';
-import { permitApi } from './api.js';
+import { permitApi, permitList } from './api.js';
 import { CONDITION_SET_TYPES } from './presets.js';
 
 /**
@@ -8,11 +8,7 @@ import { CONDITION_SET_TYPES } from './presets.js';
  * @returns {Promise<Array>} List of user attributes
  */
 export async function listUserAttributes() {
-  const result = await permitApi(
-    'GET',
-    `/schema/${config.projectId}/${config.envId}/resources/__user/attributes`
-  );
-  return result.success ? result.data : [];
+  return permitList(`/schema/${config.projectId}/${config.envId}/resources/__user/attributes`);
 }
 
 /**
@@ -42,6 +38,42 @@ export async function createUserAttribute(attributeConfig) {
   }
 }
 
+/**
+ * Update a user attribute on __user resource
+ * @param {string} attributeKey - The attribute key
+ * @param {object} changes - Fields to update (type, description)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function updateUserAttribute(attributeKey, changes) {
+  logger.info(`Updating user attribute: ${attributeKey}`);
+  const result = await permitApi(
+    'PATCH',
+    `/schema/${config.projectId}/${config.envId}/resources/__user/attributes/${attributeKey}`,
+    changes
+  );
+
+  if (result.success) {
+    logger.success(`User attribute '${attributeKey}' updated`);
+    return true;
+  } else {
+    logger.warning(`Failed to update user attribute '${attributeKey}'`);
+    return false;
+  }
+}
+
+/**
+ * Delete a user attribute from __user resource
+ * @param {string} attributeKey - The attribute key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteUserAttribute(attributeKey) {
+  const result = await permitApi(
+    'DELETE',
+    `/schema/${config.projectId}/${config.envId}/resources/__user/attributes/${attributeKey}`
+  );
+  return result.success || result.status === 404;
+}
+
 /**
  * Create a user set (condition set)
  * @param {object} userSet - User set object with key, name, conditions
@@ -92,6 +124,42 @@ export async function createResourceSet(resourceSet) {
   }
 }
 
+/**
+ * Update a condition set (user set or resource set)
+ * @param {string} conditionSetKey - The condition set key
+ * @param {object} changes - Fields to update (name, description, conditions)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function updateConditionSet(conditionSetKey, changes) {
+  logger.info(`Updating condition set: ${conditionSetKey}`);
+  const result = await permitApi(
+    'PATCH',
+    `/schema/${config.projectId}/${config.envId}/condition_sets/${conditionSetKey}`,
+    changes
+  );
+
+  if (result.success) {
+    logger.success(`Condition set '${conditionSetKey}' updated`);
+    return true;
+  } else {
+    logger.warning(`Failed to update condition set '${conditionSetKey}'`);
+    return false;
+  }
+}
+
+/**
+ * Delete a condition set (user set or resource set)
+ * @param {string} conditionSetKey - The condition set key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteConditionSet(conditionSetKey) {
+  const result = await permitApi(
+    'DELETE',
+    `/schema/${config.projectId}/${config.envId}/condition_sets/${conditionSetKey}`
+  );
+  return result.success || result.status === 404;
+}
+
 /**
  * Create a set rule
  * @param {string} userSet - User set key
@@ -112,16 +180,32 @@ export async function createSetRule(userSet, resourceSet, permission) {
   return result.success;
 }
 
+/**
+ * Delete a set rule
+ * @param {string} userSet - User set key
+ * @param {string} resourceSet - Resource set key
+ * @param {string} permission - Permission string (resource:action)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteSetRule(userSet, resourceSet, permission) {
+  const result = await permitApi(
+    'DELETE',
+    `/facts/${config.projectId}/${config.envId}/set_rules`,
+    {
+      user_set: userSet,
+      resource_set: resourceSet,
+      permission: permission,
+    }
+  );
+  return result.success || result.status === 404;
+}
+
 /**
  * List all condition sets (user sets and resource sets)
  * @returns {Promise<Array>} List of condition sets
  */
 export async function listConditionSets() {
-  const result = await permitApi(
-    'GET',
-    `/schema/${config.projectId}/${config.envId}/condition_sets`
-  );
-  return result.success ? result.data : [];
+  return permitList(`/schema/${config.projectId}/${config.envId}/condition_sets`);
 }
 
 /**
@@ -129,9 +213,5 @@ export async function listConditionSets() {
  * @returns {Promise<Array>} List of set rules
  */
 export async function listSetRules() {
-  const result = await permitApi(
-    'GET',
-    `/facts/${config.projectId}/${config.envId}/set_rules`
-  );
-  return result.success ? result.data : [];
+  return permitList(`/facts/${config.projectId}/${config.envId}/set_rules`);
 }
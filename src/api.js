@@ -1,8 +1,81 @@
 import { config } from './config.js';
 import { logger } from './logger.js';
+import { recordResult, getResults } from './output.js';
 
 const TIMEOUT_MS = 30000;
 
+// Page size for list endpoints (the API maximum)
+const PER_PAGE = 100;
+
+// In dry-run mode, write and delete requests are recorded instead of sent
+let dryRun = false;
+
+// Outcome of a successful write or delete request, by HTTP method
+const OUTCOMES = {
+  POST: 'created',
+  PUT: 'updated',
+  PATCH: 'updated',
+  DELETE: 'deleted',
+};
+
+/**
+ * Name the item a request writes to (its key, an instance, permissions, a set rule, a tuple, a role assignment, or the last path segment)
+ */
+function resultKey(endpoint, data) {
+  if (data?.key && data?.resource) {
+    return `${data.resource}:${data.key}`;
+  }
+  if (data?.key) {
+    return data.key;
+  }
+  if (Array.isArray(data?.permissions)) {
+    return data.permissions.join(', ');
+  }
+  if (data?.user_set) {
+    return `${data.user_set} -> ${data.permission} (${data.resource_set})`;
+  }
+  if (data?.permission) {
+    return data.permission;
+  }
+  if (data?.relation) {
+    return `${data.subject} ${data.relation} ${data.object}`;
+  }
+  if (data?.role && data?.tenant) {
+    return `${endpoint.split('/').at(-2)}: ${data.role} (${data.tenant})`;
+  }
+  return endpoint.split('/').pop();
+}
+
+/**
+ * Record the outcome of a write or delete request for --output json
+ */
+function recordRequest(method, endpoint, data, result) {
+  if (method === 'GET') {
+    return;
+  }
+
+  let outcome = 'failed';
+  if (result.dryRun) {
+    outcome = 'dry_run';
+  } else if (result.exists) {
+    outcome = 'exists';
+  } else if (result.success) {
+    outcome = OUTCOMES[method] || 'succeeded';
+  } else if (method === 'DELETE' && result.status === 404) {
+    outcome = 'not_found';
+  }
+
+  recordResult({
+    method,
+    endpoint,
+    key: resultKey(endpoint, data),
+    outcome,
+    status: result.status ?? null,
+    ...(result.dryRun && data ? { body: data } : {}),
+    ...(outcome === 'failed' ? { error: result.error || result.data?.message || result.data?.detail || null } : {}),
+  });
+}
+
 /**
  * Make an API call to Permit.io
  * @param {string} method - HTTP method
@@ -11,6 +84,89 @@ const TIMEOUT_MS = 30000;
  * @returns {Promise<object|null>} Response body or null on error
  */
 export async function permitApi(method, endpoint, data = null) {
+  const result = dryRun && method !== 'GET'
+    ? { success: true, data, status: null, dryRun: true }
+    : await sendPermitRequest(method, endpoint, data);
+  recordRequest(method, endpoint, data, result);
+  return result;
+}
+
+/**
+ * GET every page of a list endpoint
+ *
+ * Accepts both response shapes of the API: a plain array, or a paginated
+ * object ({ data, total_count, page_count }). A failed page throws rather than
+ * returning a partial list, so exports, backups and resets never act on an
+ * environment that only looks empty.
+ * @param {string} endpoint - API endpoint (relative to base URL)
+ * @param {object} [query] - Query parameters (empty values are left out)
+ * @returns {Promise<Array>} All items
+ */
+export async function permitList(endpoint, query = {}) {
+  const items = [];
+
+  for (let page = 1; ; page++) {
+    const params = new URLSearchParams({
+      ...Object.fromEntries(Object.entries(query).filter(([, value]) => value)),
+      page: String(page),
+      per_page: String(PER_PAGE),
+    });
+    const result = await permitApi('GET', `${endpoint}?${params}`);
+    if (!result.success) {
+      throw new Error(`Could not list ${endpoint}: ${result.status ? `HTTP ${result.status}` : result.error}`);
+    }
+
+    const data = Array.isArray(result.data) ? result.data : result.data?.data || [];
+    items.push(...data);
+
+    const pageCount = Array.isArray(result.data) ? null : result.data?.page_count;
+    if (data.length < PER_PAGE || (pageCount != null && page >= pageCount)) {
+      return items;
+    }
+  }
+}
+
+/**
+ * Turn dry-run mode on or off
+ *
+ * In dry-run mode GET requests are sent as usual, while POST, PATCH and DELETE
+ * requests are recorded and answered with a successful result echoing the body.
+ * @param {boolean} enabled - Whether to record instead of send
+ */
+export function setDryRun(enabled) {
+  dryRun = enabled;
+}
+
+/**
+ * Whether dry-run mode is on
+ * @returns {boolean} True in dry-run mode
+ */
+export function isDryRun() {
+  return dryRun;
+}
+
+/**
+ * Print the requests recorded in dry-run mode
+ */
+export function printDryRunRequests() {
+  const requests = getResults().filter((result) => result.outcome === 'dry_run');
+
+  logger.blank();
+  if (requests.length === 0) {
+    logger.info('Dry run: no requests would have been sent');
+    return;
+  }
+
+  logger.info(`Dry run: ${requests.length} request(s) would have been sent:`);
+  for (const request of requests) {
+    logger.log(`  ${request.method.padEnd(6)} ${request.endpoint}${request.body ? ` ${JSON.stringify(request.body)}` : ''}`);
+  }
+}
+
+/**
+ * Send a request to the Permit.io API
+ */
+async function sendPermitRequest(method, endpoint, data) {
   const url = `${config.apiUrl}${endpoint}`;
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
@@ -60,6 +216,54 @@ export async function permitApi(method, endpoint, data = null) {
   }
 }
 
+/**
+ * Make an authorization request to the Edge PDP
+ * @param {string} endpoint - PDP endpoint (relative to the PDP URL, e.g. '/allowed')
+ * @param {object} data - Request body data
+ * @returns {Promise<object>} Response body wrapped like permitApi() results
+ */
+export async function pdpApi(endpoint, data) {
+  const url = `${config.pdpUrl}${endpoint}`;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(data),
+      signal: controller.signal,
+    });
+    clearTimeout(timeoutId);
+
+    const body = await response.text();
+    let jsonBody = null;
+    try {
+      jsonBody = body ? JSON.parse(body) : null;
+    } catch {
+      // Response is not JSON
+    }
+
+    if (response.ok) {
+      return { success: true, data: jsonBody, status: response.status };
+    } else {
+      logger.warning(`PDP call failed with HTTP ${response.status}: ${body}`);
+      return { success: false, data: jsonBody, status: response.status };
+    }
+  } catch (error) {
+    clearTimeout(timeoutId);
+    if (error.name === 'AbortError') {
+      logger.error(`PDP call timed out after ${TIMEOUT_MS}ms`);
+    } else {
+      logger.error(`PDP call failed: ${error.message}`);
+    }
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Check Edge PDP health
  * @returns {Promise<boolean>} True if PDP is healthy
@@ -0,0 +1,212 @@
+import { logger } from './logger.js';
+import { createResource, updateResource, deleteResource, listResources } from './resources.js';
+import { createRole, updateRole, deleteRole, assignPermissionToRole, removePermissionFromRole } from './roles.js';
+import {
+  createUserAttribute,
+  updateUserAttribute,
+  deleteUserAttribute,
+  createUserSet,
+  createResourceSet,
+  updateConditionSet,
+  deleteConditionSet,
+  createSetRule,
+  deleteSetRule,
+} from './abac.js';
+import { fetchLiveState, computePlan } from './plan.js';
+
+/**
+ * Create an item from a plan change
+ * @param {object} change - Plan change with action 'create'
+ * @param {Function} resolveResourceId - Maps a resource key to its id in the target environment
+ * @returns {Promise<boolean>} True if successful
+ */
+async function applyCreate(change, resolveResourceId) {
+  const { desired } = change;
+
+  switch (change.type) {
+    case 'resource':
+      return createResource(desired);
+    case 'userAttribute':
+      return createUserAttribute(desired);
+    case 'role': {
+      const { permissions, ...role } = desired;
+      return createRole(role);
+    }
+    case 'rolePermission': {
+      const [resource, action] = desired.permission.split(':');
+      const success = await assignPermissionToRole(desired.role, resource, action);
+      if (success) {
+        logger.success(`  Assigned ${desired.permission} to ${desired.role}`);
+      } else {
+        logger.warning(`  Failed to assign ${desired.permission} to ${desired.role}`);
+      }
+      return success;
+    }
+    case 'userSet':
+      return createUserSet(desired);
+    case 'resourceSet': {
+      const { resource, ...resourceSet } = desired;
+      return createResourceSet({ ...resourceSet, resource_id: await resolveResourceId(resource) });
+    }
+    case 'setRule': {
+      const success = await createSetRule(desired.userSet, desired.resourceSet, desired.permission);
+      if (success) {
+        logger.success(`  Created set rule: ${change.key}`);
+      } else {
+        logger.warning(`  Failed to create set rule: ${change.key}`);
+      }
+      return success;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Update an item from a plan change
+ * @param {object} change - Plan change with action 'update'
+ * @returns {Promise<boolean>} True if successful
+ */
+async function applyUpdate(change) {
+  const { desired } = change;
+
+  switch (change.type) {
+    case 'resource':
+      return updateResource(change.key, {
+        name: desired.name,
+        description: desired.description,
+        actions: desired.actions,
+        attributes: desired.attributes,
+      });
+    case 'userAttribute':
+      return updateUserAttribute(change.key, {
+        type: desired.type,
+        description: desired.description,
+      });
+    case 'role':
+      return updateRole(change.key, {
+        name: desired.name,
+        description: desired.description,
+      });
+    case 'resourceSet':
+      if (change.fields.some((f) => f.field === 'resource')) {
+        logger.warning(`Resource set '${change.key}' cannot be moved to another resource; delete it first`);
+        return false;
+      }
+      return updateConditionSet(change.key, {
+        name: desired.name,
+        description: desired.description,
+        conditions: desired.conditions,
+      });
+    case 'userSet':
+      return updateConditionSet(change.key, {
+        name: desired.name,
+        description: desired.description,
+        conditions: desired.conditions,
+      });
+    default:
+      return false;
+  }
+}
+
+/**
+ * Delete an item from a plan change
+ * @param {object} change - Plan change with action 'delete'
+ * @returns {Promise<boolean>} True if successful
+ */
+async function applyDelete(change) {
+  const { current } = change;
+  let success;
+
+  switch (change.type) {
+    case 'resource':
+      success = await deleteResource(change.key);
+      break;
+    case 'userAttribute':
+      success = await deleteUserAttribute(change.key);
+      break;
+    case 'role':
+      success = await deleteRole(change.key);
+      break;
+    case 'rolePermission': {
+      const [resource, action] = current.permission.split(':');
+      success = await removePermissionFromRole(current.role, resource, action);
+      break;
+    }
+    case 'userSet':
+    case 'resourceSet':
+      success = await deleteConditionSet(change.key);
+      break;
+    case 'setRule':
+      success = await deleteSetRule(current.userSet, current.resourceSet, current.permission);
+      break;
+    default:
+      success = false;
+  }
+
+  if (success) {
+    logger.success(`  Deleted ${change.type}: ${change.key}`);
+  } else {
+    logger.warning(`  Failed to delete ${change.type}: ${change.key}`);
+  }
+  return success;
+}
+
+/**
+ * Execute a plan against the configured Permit.io environment
+ *
+ * Creates and updates are always applied. Deletes are only applied with
+ * `prune`, so an apply without it never revokes anything.
+ *
+ * @param {object} plan - Plan from computePlan()
+ * @param {object} [options] - Apply options ({ prune })
+ * @returns {Promise<{succeeded: number, failed: number, skipped: number}>} Summary of the apply
+ */
+export async function applyPlan(plan, { prune = false } = {}) {
+  const summary = { succeeded: 0, failed: 0, skipped: 0 };
+
+  // Resource ids differ between environments, so resource sets are created
+  // with the id the resource has in the target (fetched once resources exist)
+  let resourceIds = null;
+  const resolveResourceId = async (resourceKey) => {
+    if (!resourceIds) {
+      const resources = await listResources();
+      resourceIds = new Map(resources.map((r) => [r.key, r.id]));
+    }
+    return resourceIds.get(resourceKey) ?? resourceKey;
+  };
+
+  for (const change of plan.changes) {
+    let success;
+    if (change.action === 'create') {
+      success = await applyCreate(change, resolveResourceId);
+    } else if (change.action === 'update') {
+      success = await applyUpdate(change);
+    } else if (prune) {
+      success = await applyDelete(change);
+    } else {
+      summary.skipped++;
+      continue;
+    }
+
+    if (success) {
+      summary.succeeded++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Apply a desired model (see policy.js) to the configured Permit.io environment
+ * @param {object} model - Desired model from loadPolicy()
+ * @param {object} [options] - Apply options ({ prune })
+ * @returns {Promise<{succeeded: number, failed: number, skipped: number}>} Summary of the apply
+ */
+export async function applyPolicy(model, options = {}) {
+  const live = await fetchLiveState();
+  const plan = computePlan(model, live);
+  return applyPlan(plan, options);
+}
@@ -0,0 +1,111 @@
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { join, basename } from 'path';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { isDryRun } from './api.js';
+import { buildSnapshot, serializeSnapshot } from './snapshot.js';
+import { validatePolicy } from './policy.js';
+
+/**
+ * Automatic backups
+ *
+ * Every reset first writes a snapshot (see snapshot.js) of the environment to
+ * ~/.permit-setup/backups (or the directory named by PERMIT_BACKUPS_DIR), so
+ * `permit-setup rollback <backup>` can recreate what the reset deleted.
+ */
+
+export const BACKUPS_DIR = process.env.PERMIT_BACKUPS_DIR || join(homedir(), '.permit-setup', 'backups');
+
+/**
+ * Write a backup of the configured environment
+ * @param {string} reason - Why the backup is taken (e.g. "reset-all"), used in the file name
+ * @returns {Promise<string|null>} Backup file path, or null in dry-run mode
+ * @throws {Error} If the environment could not be read completely, or the backup could not be restored
+ */
+export async function createBackup(reason) {
+  if (isDryRun()) {
+    logger.info('Dry run: skipping backup');
+    return null;
+  }
+
+  logger.info(`Backing up ${config.projectId}/${config.envId}...`);
+
+  // A reset only goes ahead with a complete backup that rollback can restore
+  let snapshot;
+  try {
+    snapshot = await buildSnapshot();
+  } catch (error) {
+    throw new Error(`Could not back up ${config.projectId}/${config.envId}, nothing was deleted: ${error.message}`);
+  }
+
+  const errors = validatePolicy(snapshot, { snapshot: true });
+  if (errors.length > 0) {
+    throw new Error(
+      `Backup of ${config.projectId}/${config.envId} could not be restored, nothing was deleted:\n` +
+      errors.map((error) => `  - ${error}`).join('\n')
+    );
+  }
+
+  const timestamp = snapshot.exportedAt.replace(/[:.]/g, '-');
+  const filePath = join(BACKUPS_DIR, `${config.projectId}-${config.envId}-${timestamp}-${reason}.json`);
+
+  try {
+    mkdirSync(BACKUPS_DIR, { recursive: true });
+    writeFileSync(filePath, serializeSnapshot(snapshot, 'json'));
+  } catch (error) {
+    throw new Error(`Could not write backup to ${BACKUPS_DIR}: ${error.message}`);
+  }
+
+  logger.success(`Backup written to ${filePath}`);
+  logger.log(`  Undo with: permit-setup rollback ${basename(filePath)}`);
+  return filePath;
+}
+
+/**
+ * List backups, newest first
+ * @returns {Array<{name: string, path: string, project: string, environment: string, exportedAt: string}>} Backups
+ */
+export function listBackups() {
+  if (!existsSync(BACKUPS_DIR)) {
+    return [];
+  }
+
+  const backups = [];
+  for (const name of readdirSync(BACKUPS_DIR).filter((file) => file.endsWith('.json'))) {
+    const path = join(BACKUPS_DIR, name);
+    try {
+      const { source, exportedAt } = JSON.parse(readFileSync(path, 'utf8'));
+      backups.push({ name, path, project: source?.project, environment: source?.environment, exportedAt });
+    } catch {
+      logger.warning(`Skipping unreadable backup ${path}`);
+    }
+  }
+
+  return backups.sort((a, b) => String(b.exportedAt).localeCompare(String(a.exportedAt)));
+}
+
+/**
+ * Resolve a backup name, path, or "latest" to a file path
+ * @param {string} backup - Backup file name (in BACKUPS_DIR), path, or "latest"
+ * @returns {string} Backup file path
+ */
+export function resolveBackup(backup) {
+  if (backup === 'latest') {
+    const latest = listBackups().find(
+      (b) => b.project === config.projectId && b.environment === config.envId
+    );
+    if (!latest) {
+      throw new Error(`No backups of ${config.projectId}/${config.envId} found in ${BACKUPS_DIR}`);
+    }
+    return latest.path;
+  }
+
+  if (existsSync(backup)) {
+    return backup;
+  }
+  if (existsSync(join(BACKUPS_DIR, backup))) {
+    return join(BACKUPS_DIR, backup);
+  }
+  throw new Error(`Backup '${backup}' not found (looked in the current directory and ${BACKUPS_DIR})`);
+}
@@ -0,0 +1,111 @@
+import chalk from 'chalk';
+import { logger } from './logger.js';
+import { pdpApi } from './api.js';
+import { coerceAttributeValue } from './presets.js';
+
+/**
+ * Authorization checks against the Edge PDP (the CLI equivalent of permit.check())
+ */
+
+/**
+ * Parse "key=value" assignments into an attributes object
+ * @param {Array<string>} assignments - Assignments such as "groups=billing,finance"
+ * @param {object} [types] - Known attribute types keyed by attribute (e.g. { groups: 'array' })
+ * @returns {object} Attributes object
+ */
+export function parseAttributes(assignments = [], types = {}) {
+  const attributes = {};
+
+  for (const assignment of assignments) {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid attribute '${assignment}', expected key=value`);
+    }
+    const key = assignment.slice(0, separator).trim();
+    try {
+      attributes[key] = coerceAttributeValue(assignment.slice(separator + 1), types[key]);
+    } catch (error) {
+      throw new Error(`Invalid attribute '${assignment}': ${error.message}`);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse a resource reference of the form "type" or "type:key"
+ * @param {string} reference - Resource reference (e.g. "invoice:invoice-456")
+ * @returns {{type: string, key?: string}} Resource type and optional key
+ */
+export function parseResource(reference) {
+  const [type, ...key] = reference.split(':');
+  return key.length > 0 ? { type, key: key.join(':') } : { type };
+}
+
+/**
+ * Ask the Edge PDP whether a user may perform an action on a resource
+ * @param {object} request - Check request
+ * @param {object} request.user - User ({ key, attributes })
+ * @param {string} request.action - Action key
+ * @param {object} request.resource - Resource ({ type, key, tenant, attributes })
+ * @returns {Promise<{allow: boolean, debug: object|null}|null>} Decision, or null if the PDP call failed
+ */
+export async function checkPermission({ user, action, resource }) {
+  const result = await pdpApi('/allowed', {
+    user,
+    action,
+    resource,
+    context: {},
+  });
+
+  if (!result.success || !result.data) {
+    return null;
+  }
+
+  return {
+    allow: result.data.allow === true,
+    debug: result.data.debug || null,
+  };
+}
+
+/**
+ * Describe a check request in one line
+ * @param {object} request - Check request ({ user, action, resource })
+ * @returns {string} Description such as "user-123 read invoice:invoice-456"
+ */
+export function describeCheck({ user, action, resource }) {
+  const resourceLabel = resource.key ? `${resource.type}:${resource.key}` : resource.type;
+  return `${user.key} ${action} ${resourceLabel}`;
+}
+
+/**
+ * Print a PDP decision with its debug reasoning
+ * @param {object} request - Check request ({ user, action, resource })
+ * @param {object} decision - Decision from checkPermission()
+ */
+export function printDecision(request, decision) {
+  const verdict = decision.allow ? chalk.green.bold('ALLOWED') : chalk.red.bold('DENIED');
+  logger.log(`${verdict}  ${describeCheck(request)}`);
+
+  if (Object.keys(request.user.attributes || {}).length > 0) {
+    logger.log(`  User attributes: ${JSON.stringify(request.user.attributes)}`);
+  }
+  if (Object.keys(request.resource.attributes || {}).length > 0) {
+    logger.log(`  Resource attributes: ${JSON.stringify(request.resource.attributes)}`);
+  }
+
+  if (!decision.debug) {
+    logger.log(chalk.gray('  No debug information returned (set PDP_DEBUG=true on the PDP to enable it)'));
+    return;
+  }
+
+  logger.log('  Reasoning:');
+  for (const [engine, details] of Object.entries(decision.debug)) {
+    if (details && typeof details === 'object' && 'allow' in details) {
+      const engineVerdict = details.allow ? chalk.green('allow') : chalk.red('deny');
+      logger.log(`    ${engine}: ${engineVerdict}${details.reason ? ` - ${details.reason}` : ''}`);
+    } else {
+      logger.log(`    ${engine}: ${JSON.stringify(details)}`);
+    }
+  }
+}
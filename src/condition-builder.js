@@ -0,0 +1,207 @@
+import { select, input, confirm } from '@inquirer/prompts';
+import { logger } from './logger.js';
+import { describeConditions, formatConditionTree } from './conditions.js';
+import { BUILT_IN_USER_ATTRIBUTES, operatorsForType, isRefCompatible, coerceConditionValue } from './presets.js';
+
+/**
+ * Interactive condition builder for user sets and resource sets
+ *
+ * Builds a condition tree of any number of clauses, grouped with "all of"
+ * (allOf) and "any of" (anyOf), with groups nested inside groups:
+ *
+ *   { allOf: [
+ *       { "user.groups": { array_contains: "billing" } },
+ *       { anyOf: [{ "user.region": { equals: "eu" } }, { "user.region": { equals: "uk" } }] },
+ *   ] }
+ *
+ * Resource set clauses can compare a resource attribute with a user attribute:
+ * { "resource.department": { equals: { ref: "user.department" } } }.
+ */
+
+// How deep groups can be nested (the top-level group is depth 0)
+const MAX_GROUP_DEPTH = 2;
+
+const GROUP_CHOICES = [
+  { name: 'All of the following (AND)', value: 'allOf' },
+  { name: 'Any of the following (OR)', value: 'anyOf' },
+];
+
+// Built-in user attributes offered in conditions, with their types
+const USER_BUILT_IN_CHOICES = [
+  { name: 'email - User email address (built-in)', value: 'email', type: 'string' },
+  { name: 'key - User key/ID (built-in)', value: 'key', type: 'string' },
+];
+
+/**
+ * Build the attribute choices of a subject: its attributes, user built-ins, or any other name
+ * @param {string} subject - 'user' or 'resource'
+ * @param {Array} attributes - Attributes ({ key, type, description })
+ * @returns {Array} Choices for select()
+ */
+function attributeChoices(subject, attributes) {
+  return [
+    ...attributes
+      .filter((attr) => subject !== 'user' || !BUILT_IN_USER_ATTRIBUTES.includes(attr.key))
+      .map((attr) => ({
+        name: `${attr.key} - ${attr.description || attr.type} (${subject === 'user' ? 'custom' : attr.type})`,
+        value: attr.key,
+      })),
+    ...(subject === 'user' ? USER_BUILT_IN_CHOICES.map(({ name, value }) => ({ name, value })) : []),
+    { name: 'Other - Enter attribute name', value: '__custom__' },
+  ];
+}
+
+/**
+ * Attribute types keyed by attribute, including the user built-ins
+ */
+function attributeTypes(subject, attributes) {
+  return {
+    ...(subject === 'user' ? Object.fromEntries(USER_BUILT_IN_CHOICES.map((c) => [c.value, c.type])) : {}),
+    ...Object.fromEntries(attributes.map((attr) => [attr.key, attr.type])),
+  };
+}
+
+/**
+ * Prompt for a literal value of the attribute's type
+ */
+async function promptValue(type, operator) {
+  if (type === 'bool') {
+    return select({
+      message: 'Value to match:',
+      choices: [{ name: 'true', value: true }, { name: 'false', value: false }],
+    });
+  }
+
+  const raw = await input({
+    message: operator === 'in' ? 'Values to match (comma-separated):' : 'Value to match:',
+    validate: (value) => {
+      try {
+        coerceConditionValue(value, type, operator);
+        return true;
+      } catch (error) {
+        return error.message;
+      }
+    },
+  });
+  return coerceConditionValue(raw, type, operator);
+}
+
+/**
+ * Prompt for a single clause ({ "<subject>.<attribute>": { <operator>: <value> } })
+ *
+ * Operators and values follow the attribute's type: a number attribute offers
+ * numeric comparisons and takes a number, a bool attribute takes true or false.
+ */
+async function promptClause(builder) {
+  let attribute = await select({
+    message: `${builder.subject === 'user' ? 'User' : 'Resource'} attribute to match:`,
+    choices: builder.choices,
+  });
+
+  if (attribute === '__custom__') {
+    attribute = (await input({
+      message: 'Enter custom attribute name:',
+      validate: (value) => value.trim() ? true : 'Attribute name is required',
+    })).trim();
+  }
+
+  const type = builder.types[attribute];
+  const operator = await select({
+    message: `Condition operator${type ? ` (${type} attribute)` : ''}:`,
+    choices: operatorsForType(type),
+  });
+
+  // Resource attributes can also be compared with a user attribute the operator can compare
+  const userChoices = (builder.userChoices || []).filter(
+    (choice) => isRefCompatible(operator, type, builder.userTypes[choice.value])
+  );
+  const compareWith = userChoices.length > 0 && operator !== 'in'
+    ? await select({
+      message: 'Compare with:',
+      choices: [
+        { name: 'A value', value: 'value' },
+        { name: 'A user attribute (e.g., user.department)', value: 'user' },
+      ],
+    })
+    : 'value';
+
+  const value = compareWith === 'user'
+    ? { ref: `user.${await select({ message: 'User attribute:', choices: userChoices, default: attribute })}` }
+    : await promptValue(type, operator);
+
+  return { [`${builder.subject}.${attribute}`]: { [operator]: value } };
+}
+
+/**
+ * Prompt for the items of a group until the user is done
+ */
+async function promptGroup(builder, depth) {
+  const group = await select({
+    message: depth === 0
+      ? `Match ${builder.subject === 'user' ? 'users' : 'resources'} when:`
+      : 'Nested group matches when:',
+    choices: GROUP_CHOICES,
+  });
+
+  const items = [];
+  for (;;) {
+    const next = await select({
+      message: items.length === 0 ? 'Add to this group:' : 'Add more to this group?',
+      choices: [
+        { name: 'Add a condition', value: 'clause' },
+        ...(depth < MAX_GROUP_DEPTH ? [{ name: 'Add a nested group (AND/OR)', value: 'group' }] : []),
+        ...(items.length > 0 ? [{ name: depth === 0 ? 'Done' : 'Done with this group', value: 'done' }] : []),
+      ],
+    });
+
+    if (next === 'done') {
+      return { [group]: items };
+    }
+
+    items.push(next === 'group'
+      ? await promptGroup(builder, depth + 1)
+      : await promptClause(builder));
+
+    logger.info(`Condition so far: ${describeConditions({ [group]: items })}`);
+  }
+}
+
+/**
+ * Prompt for a condition tree and show a preview before returning it
+ * @param {Array} attributes - Attributes to match: custom user attributes from
+ *   listUserAttributes(), or the resource's attributes from listResourceAttributes()
+ * @param {object} [options] - Builder options
+ * @param {string} [options.subject] - 'user' (user sets) or 'resource' (resource sets)
+ * @param {Array} [options.userAttributes] - User attributes that resource attributes can be compared with
+ * @returns {Promise<object>} Condition tree ({ allOf: [...] } or { anyOf: [...] })
+ */
+export async function promptConditions(attributes = [], { subject = 'user', userAttributes } = {}) {
+  const builder = {
+    subject,
+    choices: attributeChoices(subject, attributes),
+    types: attributeTypes(subject, attributes),
+    userChoices: subject === 'resource' && userAttributes
+      ? attributeChoices('user', userAttributes).filter((choice) => choice.value !== '__custom__')
+      : null,
+    userTypes: attributeTypes('user', userAttributes || []),
+  };
+
+  for (;;) {
+    const conditions = await promptGroup(builder, 0);
+
+    logger.blank();
+    logger.info('Condition Preview:');
+    logger.log(formatConditionTree(conditions, '  '));
+    logger.blank();
+
+    const looksRight = await confirm({
+      message: 'Use this condition?',
+      default: true,
+    });
+    if (looksRight) {
+      return conditions;
+    }
+    logger.info('Starting the condition over.');
+    logger.blank();
+  }
+}
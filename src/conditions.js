@@ -0,0 +1,127 @@
+import { CONDITION_OPERATORS, operatorsForType, isRefCompatible, coerceConditionValue } from './presets.js';
+
+/**
+ * Condition helpers for user sets and resource sets
+ *
+ * Conditions are written on the command line as "<subject>.<attribute> <operator> <value>",
+ * e.g. "user.groups array_contains billing" or "user.level greater-than 3".
+ * Resource set conditions can compare against a user attribute instead of a
+ * value: "resource.department equals user.department".
+ */
+
+// A value naming a user attribute, compared as { ref: "user.<attribute>" }
+const USER_REF_PATTERN = /^user\.[\w-]+$/;
+
+/**
+ * Parse a condition expression into a Permit.io comparison
+ *
+ * With the attribute's type known, the operator must apply to the type and the
+ * value is converted to it ("in" takes a comma-separated list). In resource
+ * conditions, a value of "user.<attribute>" becomes { ref: "user.<attribute>" };
+ * with the user attribute's type known, the operator must be able to compare the two
+ * (e.g. "resource.tags array_contains user.department").
+ * @param {string} expression - Expression such as "user.groups array_contains billing"
+ * @param {string} subject - Attribute prefix the expression must use ('user' or 'resource')
+ * @param {object} [types] - Attribute types keyed by attribute (e.g. { level: 'number' })
+ * @param {object} [userTypes] - User attribute types, for values referencing a user attribute
+ * @returns {object} Comparison such as { "user.groups": { array_contains: "billing" } }
+ */
+export function parseCondition(expression, subject, types = {}, userTypes = {}) {
+  const [path, operator, ...value] = expression.trim().split(/\s+/);
+  const operators = CONDITION_OPERATORS.map((op) => op.value);
+
+  if (!path || !operator || value.length === 0) {
+    throw new Error(`Invalid condition '${expression}', expected "${subject}.<attribute> <operator> <value>"`);
+  }
+  if (!path.startsWith(`${subject}.`) || path.length === subject.length + 1) {
+    throw new Error(`Invalid condition '${expression}': attribute must start with '${subject}.'`);
+  }
+  if (!operators.includes(operator)) {
+    throw new Error(`Invalid condition '${expression}': operator must be one of ${operators.join(', ')}`);
+  }
+
+  const type = types[path.slice(subject.length + 1)];
+  if (!operatorsForType(type).some((op) => op.value === operator)) {
+    throw new Error(`Invalid condition '${expression}': ${operator} does not apply to ${type} attributes`);
+  }
+
+  const raw = value.join(' ');
+  if (subject === 'resource' && operator !== 'in' && USER_REF_PATTERN.test(raw)) {
+    const refType = userTypes[raw.slice('user.'.length)];
+    if (!isRefCompatible(operator, type, refType)) {
+      throw new Error(`Invalid condition '${expression}': ${operator} cannot compare ${path} with ${raw} (a ${refType} attribute)`);
+    }
+    return { [path]: { [operator]: { ref: raw } } };
+  }
+
+  try {
+    return { [path]: { [operator]: coerceConditionValue(raw, type, operator) } };
+  } catch (error) {
+    throw new Error(`Invalid condition '${expression}': ${error.message}`);
+  }
+}
+
+/**
+ * Build a condition tree from condition expressions
+ * @param {Array<string>} expressions - Condition expressions
+ * @param {string} subject - Attribute prefix ('user' or 'resource')
+ * @param {boolean} [any] - Match any condition (anyOf) instead of all (allOf)
+ * @param {object} [types] - Attribute types keyed by attribute
+ * @param {object} [userTypes] - User attribute types, for values referencing a user attribute
+ * @returns {object} Condition tree ({ allOf: [...] } or { anyOf: [...] })
+ */
+export function buildConditions(expressions, subject, any = false, types = {}, userTypes = {}) {
+  const comparisons = expressions.map((expression) => parseCondition(expression, subject, types, userTypes));
+  return any ? { anyOf: comparisons } : { allOf: comparisons };
+}
+
+/**
+ * Describe a condition value (attribute references are shown unquoted)
+ */
+function describeValue(value) {
+  return value && typeof value === 'object' && 'ref' in value ? value.ref : JSON.stringify(value);
+}
+
+/**
+ * Describe a condition tree in one line
+ * @param {object} conditions - Condition tree
+ * @returns {string} Description such as 'user.groups array_contains "billing"'
+ */
+export function describeConditions(conditions) {
+  const group = conditions.allOf ? 'allOf' : conditions.anyOf ? 'anyOf' : null;
+  if (!group) {
+    return Object.entries(conditions)
+      .flatMap(([path, operations]) =>
+        Object.entries(operations).map(([operator, value]) => `${path} ${operator} ${describeValue(value)}`)
+      )
+      .join(' and ');
+  }
+
+  const items = conditions[group].map((item) => {
+    const text = describeConditions(item);
+    return item.allOf || item.anyOf ? `(${text})` : text;
+  });
+  return items.join(group === 'allOf' ? ' and ' : ' or ');
+}
+
+/**
+ * Format a condition tree as indented lines, one clause per line
+ * @param {object} conditions - Condition tree
+ * @param {string} [indent] - Indentation of the first line
+ * @returns {string} Multi-line description
+ */
+export function formatConditionTree(conditions, indent = '') {
+  const group = conditions.allOf ? 'allOf' : conditions.anyOf ? 'anyOf' : null;
+  if (!group) {
+    return `${indent}${describeConditions(conditions)}`;
+  }
+
+  const heading = group === 'allOf' ? 'all of (AND):' : 'any of (OR):';
+  if (conditions[group].length === 0) {
+    return `${indent}${heading} (nothing, matches everything)`;
+  }
+  return [
+    `${indent}${heading}`,
+    ...conditions[group].map((item) => formatConditionTree(item, `${indent}  `)),
+  ].join('\n');
+}
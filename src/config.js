@@ -25,6 +25,9 @@ export const config = {
   // Project and Environment
   projectId: process.env.PERMIT_PROJECT_ID || 'default',
   envId: process.env.PERMIT_ENV_ID || 'dev',
+
+  // Active connection profile name (see profiles.js), null when using .env
+  profile: null,
 };
 
 export function validateConfig() {
@@ -37,3 +40,19 @@ export function validateConfig() {
   }
   return true;
 }
+
+/**
+ * Run a function with config pointed at another environment of the same project
+ * @param {string} envId - Environment ID to use while the function runs
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ */
+export async function withEnvironment(envId, fn) {
+  const previousEnvId = config.envId;
+  config.envId = envId;
+  try {
+    return await fn();
+  } finally {
+    config.envId = previousEnvId;
+  }
+}
@@ -0,0 +1,136 @@
+import { AUTOGEN_PREFIX } from './presets.js';
+
+/**
+ * Offline policy evaluation
+ *
+ * Evaluates user sets, resource sets and set rules from a desired model
+ * (see policy.js) without a running PDP. Only ABAC is evaluated: users are
+ * not synced, so role assignments are not known offline.
+ */
+
+/**
+ * Condition operators, keyed by the operator names in CONDITION_OPERATORS
+ */
+const OPERATORS = {
+  array_contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  equals: (actual, expected) => actual === expected,
+  not_equals: (actual, expected) => actual !== expected,
+  contains: (actual, expected) => typeof actual === 'string' && actual.includes(expected),
+  starts_with: (actual, expected) => typeof actual === 'string' && actual.startsWith(expected),
+  ends_with: (actual, expected) => typeof actual === 'string' && actual.endsWith(expected),
+  'greater-than': (actual, expected) => typeof actual === 'number' && actual > expected,
+  'greater-than-equals': (actual, expected) => typeof actual === 'number' && actual >= expected,
+  'less-than': (actual, expected) => typeof actual === 'number' && actual < expected,
+  'less-than-equals': (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+};
+
+/**
+ * Resolve a dotted path such as "user.groups" against the evaluation context
+ * @param {object} context - Evaluation context ({ user, resource })
+ * @param {string} path - Attribute path
+ * @returns {*} Value or undefined
+ */
+function resolvePath(context, path) {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), context);
+}
+
+/**
+ * Evaluate a single attribute comparison ({ "user.groups": { array_contains: "billing" } })
+ */
+function evaluateComparison(comparison, context) {
+  return Object.entries(comparison).every(([path, operations]) => {
+    const actual = resolvePath(context, path);
+
+    return Object.entries(operations).every(([operator, expected]) => {
+      const compare = OPERATORS[operator];
+      if (!compare) {
+        throw new Error(`Unsupported condition operator '${operator}' on ${path}`);
+      }
+      // Values can reference another attribute: { ref: "user.department" }
+      const value = expected && typeof expected === 'object' && 'ref' in expected
+        ? resolvePath(context, expected.ref)
+        : expected;
+      return compare(actual, value);
+    });
+  });
+}
+
+/**
+ * Evaluate a condition tree ({ allOf: [...] } / { anyOf: [...] }, nested groups allowed)
+ * @param {object} conditions - Condition tree
+ * @param {object} context - Evaluation context ({ user, resource })
+ * @returns {boolean} True if the conditions hold
+ */
+export function evaluateConditions(conditions, context) {
+  if (conditions.allOf) {
+    return conditions.allOf.every((item) => evaluateConditions(item, context));
+  }
+  if (conditions.anyOf) {
+    return conditions.anyOf.some((item) => evaluateConditions(item, context));
+  }
+  return evaluateComparison(conditions, context);
+}
+
+/**
+ * Decide a check request from a desired model
+ * @param {object} model - Desired model from loadPolicy() (or a snapshot)
+ * @param {object} request - Check request ({ user, action, resource })
+ * @returns {{allow: boolean, debug: object}} Decision shaped like a PDP response
+ */
+export function evaluateCheck(model, { user, action, resource }) {
+  const context = {
+    user: { key: user.key, ...(user.attributes || {}) },
+    resource: { type: resource.type, key: resource.key, tenant: resource.tenant, ...(resource.attributes || {}) },
+  };
+
+  const userSets = (model.userSets || [])
+    .filter((userSet) => evaluateConditions(userSet.conditions, context))
+    .map((userSet) => userSet.key);
+
+  const resourceSets = [
+    `${AUTOGEN_PREFIX}${resource.type}`,
+    ...(model.resourceSets || [])
+      .filter((resourceSet) => resourceSet.resource === resource.type)
+      .filter((resourceSet) => evaluateConditions(resourceSet.conditions, context))
+      .map((resourceSet) => resourceSet.key),
+  ];
+
+  const permission = `${resource.type}:${action}`;
+  const rules = (model.setRules || []).filter((rule) =>
+    rule.permission === permission &&
+    userSets.includes(rule.userSet) &&
+    resourceSets.includes(rule.resourceSet)
+  );
+
+  const allow = rules.length > 0;
+  const reason = allow
+    ? `granted by ${rules.map((rule) => `${rule.userSet} + ${rule.resourceSet}`).join(', ')}`
+    : userSets.length === 0
+      ? 'user matches no user set'
+      : `no set rule grants ${permission} to ${userSets.join(', ')}`;
+
+  return {
+    allow,
+    debug: {
+      abac: { allow, reason },
+      userSets: { matched: userSets },
+      resourceSets: { matched: resourceSets },
+    },
+  };
+}
+
+/**
+ * Attribute types declared in a model, for value coercion
+ * @param {object} model - Desired model
+ * @param {string} resourceType - Resource key
+ * @returns {{userTypes: object, resourceTypes: object}} Types keyed by attribute
+ */
+export function modelAttributeTypes(model, resourceType) {
+  const userTypes = Object.fromEntries((model.userAttributes || []).map((a) => [a.key, a.type]));
+  const resource = (model.resources || []).find((r) => r.key === resourceType);
+  const resourceTypes = Object.fromEntries(
+    Object.entries(resource?.attributes || {}).map(([key, a]) => [key, a.type])
+  );
+  return { userTypes, resourceTypes };
+}
@@ -1,14 +1,14 @@
 #!/usr/bin/env node
 
-import { input, confirm, select } from '@inquirer/prompts';
+import { input, confirm } from '@inquirer/prompts';
 import { config, validateConfig } from './config.js';
 import { logger } from './logger.js';
-import { permitApi } from './api.js';
+import { permitApi, setDryRun, isDryRun, printDryRunRequests } from './api.js';
 import { createResource } from './resources.js';
-import { createUserSet, createSetRule, listConditionSets, listSetRules, createUserAttributes } from './abac.js';
+import { createSetRule, listConditionSets, listSetRules, createUserAttribute, listUserAttributes } from './abac.js';
+import { describeConditions } from './conditions.js';
+import { promptConditions } from './condition-builder.js';
 import {
-  CONDITION_OPERATORS,
-  USER_ATTRIBUTES,
   validateKey,
   keyToDisplayName,
 } from './presets.js';
@@ -41,6 +41,13 @@ const RESOURCES = [
   { key: 'rule', name: 'Rule', description: 'Rule management', actions: ['create', 'read', 'update', 'delete'] },
 ];
 
+/**
+ * User attributes - passed at check time, declared so conditions can use them
+ */
+const USER_ATTRIBUTES = [
+  { key: 'groups', type: 'array', description: 'Cognito groups of the user' },
+];
+
 /**
  * User Sets - ABAC condition sets that match users based on attributes
  *
@@ -161,6 +168,9 @@ async function addCustomUserSets() {
   logger.info('Add Custom User Sets');
   logger.blank();
 
+  // Attributes to match (the condition builder adds built-ins and any other name)
+  const customAttributes = await listUserAttributes();
+
   let addMore = true;
   const customUserSets = [];
 
@@ -183,46 +193,12 @@ async function addCustomUserSets() {
       default: `Users in ${displayName} set`,
     });
 
-    // Get condition attribute
-    let attribute = await select({
-      message: 'User attribute to match:',
-      choices: USER_ATTRIBUTES,
-    });
-
-    // Handle custom attribute
-    if (attribute === '__custom__') {
-      attribute = await input({
-        message: 'Enter custom attribute name:',
-        validate: (value) => {
-          if (!value.trim()) return 'Attribute name is required';
-          return true;
-        },
-      });
-    }
-
-    // Get condition operator
-    const operator = await select({
-      message: 'Condition operator:',
-      choices: CONDITION_OPERATORS,
-    });
-
-    // Get condition value
-    const conditionValue = await input({
-      message: 'Value to match:',
-      validate: (value) => {
-        if (!value.trim()) return 'Value is required';
-        return true;
-      },
-    });
-
-    // Build the user set
+    // Build the user set (one or more clauses, nested AND/OR groups)
     const userSet = {
       key,
       name: displayName,
       description,
-      conditions: {
-        allOf: [{ [`user.${attribute}`]: { [operator]: conditionValue } }],
-      },
+      conditions: await promptConditions(customAttributes),
     };
 
     customUserSets.push(userSet);
@@ -230,9 +206,9 @@ async function addCustomUserSets() {
     // Show summary
     logger.blank();
     logger.info('User Set Summary:');
-    console.log(`  Key: ${key}`);
-    console.log(`  Name: ${displayName}`);
-    console.log(`  Condition: user.${attribute} ${operator} "${conditionValue}"`);
+    logger.log(`  Key: ${key}`);
+    logger.log(`  Name: ${displayName}`);
+    logger.log(`  Condition: ${describeConditions(userSet.conditions)}`);
     logger.blank();
 
     addMore = await confirm({
@@ -287,7 +263,11 @@ async function setupResources() {
  */
 async function setupUserAttributes() {
   logger.info('Setting up user attributes...');
-  await createUserAttributes();
+
+  for (const attribute of USER_ATTRIBUTES) {
+    await createUserAttribute(attribute);
+  }
+
   logger.blank();
 }
 
@@ -380,23 +360,27 @@ async function verifySetup() {
  */
 function showHeader() {
   logger.header('Horaion - Permit.io ABAC Setup');
-  console.log('');
-  console.log('This script configures Permit.io for the Horaion application');
-  console.log('using pure ABAC (Attribute-Based Access Control).');
-  console.log('');
-  console.log('Key Design:');
-  console.log('  - Users are NOT synced to Permit.io');
-  console.log('  - Cognito groups are passed as user.groups at check time');
-  console.log('  - User Sets match users based on user.groups');
-  console.log('');
-  console.log('Options:');
-  console.log('  --verify, -v        Verify current setup only');
-  console.log('  --user-sets, -u     Setup predefined user sets only');
-  console.log('  --add-user-set, -a  Add custom user set interactively');
-  console.log('');
-  console.log(`Project: ${config.projectId}`);
-  console.log(`Environment: ${config.envId}`);
-  console.log(`API URL: ${config.apiUrl}`);
+  logger.log('');
+  logger.log('This script configures Permit.io for the Horaion application');
+  logger.log('using pure ABAC (Attribute-Based Access Control).');
+  logger.log('');
+  logger.log('Key Design:');
+  logger.log('  - Users are NOT synced to Permit.io');
+  logger.log('  - Cognito groups are passed as user.groups at check time');
+  logger.log('  - User Sets match users based on user.groups');
+  logger.log('');
+  logger.log('Options:');
+  logger.log('  --verify, -v        Verify current setup only');
+  logger.log('  --user-sets, -u     Setup predefined user sets only');
+  logger.log('  --add-user-set, -a  Add custom user set interactively');
+  logger.log('  --dry-run           Print the changes instead of sending them');
+  logger.log('');
+  logger.log(`Project: ${config.projectId}`);
+  logger.log(`Environment: ${config.envId}`);
+  logger.log(`API URL: ${config.apiUrl}`);
+  if (isDryRun()) {
+    logger.log('Mode: DRY RUN (write and delete requests are not sent)');
+  }
   logger.blank();
 }
 
@@ -408,6 +392,7 @@ async function main() {
   const verifyOnly = args.includes('--verify') || args.includes('-v');
   const userSetsOnly = args.includes('--user-sets') || args.includes('-u');
   const addUserSet = args.includes('--add-user-set') || args.includes('-a');
+  setDryRun(args.includes('--dry-run'));
 
   try {
     showHeader();
@@ -430,7 +415,11 @@ async function main() {
       await verifySetup();
     }
 
-    logger.success('Setup complete!');
+    if (isDryRun()) {
+      printDryRunRequests();
+    } else {
+      logger.success('Setup complete!');
+    }
   } catch (error) {
     logger.error(`Setup failed: ${error.message}`);
     process.exit(1);
@@ -1,34 +1,128 @@
 #!/usr/bin/env node
 
+import { writeFileSync } from 'fs';
 import { select, confirm, input, checkbox } from '@inquirer/prompts';
-import { Command } from 'commander';
-import { config, validateConfig } from './config.js';
+import { Command, Option } from 'commander';
+import { config, validateConfig, withEnvironment } from './config.js';
 import { logger } from './logger.js';
-import { checkEdgePdpHealth } from './api.js';
-import { createResource, listResources, getResource } from './resources.js';
-import { createRole, listRoles, assignPermissionToRole } from './roles.js';
-import { createUserSet, createResourceSet, listConditionSets, listUserAttributes, createUserAttribute } from './abac.js';
+import { checkEdgePdpHealth, setDryRun, isDryRun, printDryRunRequests } from './api.js';
+import {
+  createResource,
+  listResources,
+  getResource,
+  listResourceAttributes,
+  createResourceAttribute,
+  updateResourceAttribute,
+  deleteResourceAttribute,
+} from './resources.js';
+import { createRole, listRoles, assignPermissionToRole, removePermissionFromRole } from './roles.js';
+import {
+  createUserSet,
+  createResourceSet,
+  listConditionSets,
+  listUserAttributes,
+  createUserAttribute,
+  updateUserAttribute,
+  deleteUserAttribute,
+  createSetRule,
+  deleteSetRule,
+  listSetRules,
+} from './abac.js';
 import { verifySetup } from './verify.js';
-import { resetAll, resetAbac, resetResources, resetRoles } from './reset.js';
+import {
+  resetAll,
+  resetAbac,
+  resetResources,
+  resetRoles,
+  selectResetChanges,
+  withDependentChanges,
+  resetSelected,
+} from './reset.js';
+import { loadPolicy, buildActions } from './policy.js';
+import { buildConditions, describeConditions } from './conditions.js';
+import { promptConditions } from './condition-builder.js';
+import { applyPlan } from './apply.js';
+import { fetchLiveState, computePlan, printPlan, planToJson, PLAN_TYPES } from './plan.js';
+import { parseAttributes, parseResource, checkPermission, printDecision } from './check.js';
+import { evaluateCheck, modelAttributeTypes } from './evaluator.js';
+import { loadTestSuite, runTestSuite, printTestResults } from './test-suite.js';
+import { loadProfiles, applyProfile, PROFILES_PATH } from './profiles.js';
+import { buildMatrix, renderMatrix, matrixFormat, matrixToJson, defaultMatrixName, MATRIX_FORMATS } from './matrix.js';
+import { outputMode, setOutputMode, printJsonResult, getResults } from './output.js';
+import { listBackups, resolveBackup, BACKUPS_DIR } from './backup.js';
+import { listTenants, getTenant, createTenant, updateTenant, deleteTenant } from './tenants.js';
+import { listUsers, getUser, createUser, updateUser, deleteUser, assignRole, unassignRole, listRoleAssignments } from './users.js';
+import { loadUsersFile, importUsers, parseRoleAssignment } from './user-import.js';
+import {
+  listResourceInstances,
+  createResourceInstance,
+  deleteResourceInstance,
+  listRelationshipTuples,
+  createRelationshipTuple,
+  deleteRelationshipTuple,
+} from './instances.js';
+import { exportSnapshot, snapshotFormat, defaultSnapshotName, loadSnapshot, restoreTenants } from './snapshot.js';
 import {
   AVAILABLE_ACTIONS,
-  CONDITION_OPERATORS,
   ATTRIBUTE_TYPES,
   PROTECTED_RESOURCES,
+  DEFAULT_TENANT,
+  CONDITION_SET_TYPES,
+  AUTOGEN_PREFIX,
   validateKey,
   keyToDisplayName,
   capitalize,
+  coerceAttributeValue,
 } from './presets.js';
 
+// CLI program (global options are read from it by runCommand)
+const program = new Command();
+
+/**
+ * Collect a repeatable option into a list
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Split "key=value; key=value" input from an interactive prompt into assignments
+ */
+function splitAssignments(value) {
+  return value.split(';').map((assignment) => assignment.trim()).filter(Boolean);
+}
+
+/**
+ * Build an input() validator for "key=value; ..." attribute assignments
+ * @param {object} [types] - Known attribute types keyed by attribute
+ * @returns {Function} Validator returning true or the parse error
+ */
+function validateAssignments(types = {}) {
+  return (value) => {
+    try {
+      parseAttributes(splitAssignments(value), types);
+      return true;
+    } catch (error) {
+      return error.message;
+    }
+  };
+}
+
 /**
  * Show application header
  */
 function showHeader() {
   logger.header('Permit.io Edge PDP Setup (ABAC)');
-  console.log(`Project: ${config.projectId}`);
-  console.log(`Environment: ${config.envId}`);
-  console.log(`Cloud API: ${config.apiUrl}`);
-  console.log(`Edge PDP: ${config.pdpUrl}`);
+  if (config.profile) {
+    logger.log(`Profile: ${config.profile}`);
+  }
+  logger.log(`Project: ${config.projectId}`);
+  logger.log(`Environment: ${config.envId}`);
+  logger.log(`Cloud API: ${config.apiUrl}`);
+  logger.log(`Edge PDP: ${config.pdpUrl}`);
+  if (isDryRun()) {
+    logger.log('Mode: DRY RUN (write and delete requests are not sent)');
+  }
   logger.blank();
 }
 
@@ -46,11 +140,11 @@ async function checkEdgePdp() {
   } else {
     logger.warning(`Edge PDP may not be running at ${config.pdpUrl}`);
     logger.blank();
-    console.log('To start Edge PDP, run:');
-    console.log('  docker compose -f deployments/compose.yaml up permit-pdp -d');
+    logger.log('To start Edge PDP, run:');
+    logger.log('  docker compose -f deployments/compose.yaml up permit-pdp -d');
     logger.blank();
-    console.log('ABAC with User Sets REQUIRES Edge PDP!');
-    console.log('Cloud PDP (https://cloudpdp.api.permit.io) does NOT support ABAC.');
+    logger.log('ABAC with User Sets REQUIRES Edge PDP!');
+    logger.log('Cloud PDP (https://cloudpdp.api.permit.io) does NOT support ABAC.');
     logger.blank();
 
     const shouldContinue = await confirm({
@@ -147,13 +241,39 @@ async function runCreateResource() {
     }
   }
 
+  // Allow attributes (resource sets filter on them)
+  const attributes = {};
+  const addAttributes = await confirm({
+    message: 'Do you want to add attributes (for resource set filters)?',
+    default: false,
+  });
+
+  if (addAttributes) {
+    let addMore = true;
+    while (addMore) {
+      const attribute = await promptResourceAttribute(key);
+      attributes[attribute.key] = {
+        type: attribute.type,
+        description: attribute.description,
+      };
+
+      addMore = await confirm({
+        message: 'Add another attribute?',
+        default: false,
+      });
+    }
+  }
+
   // Show summary
   logger.blank();
   logger.info('Resource Summary:');
-  console.log(`  Key: ${key}`);
-  console.log(`  Name: ${name}`);
-  console.log(`  Description: ${description}`);
-  console.log(`  Actions: ${Object.keys(actions).join(', ')}`);
+  logger.log(`  Key: ${key}`);
+  logger.log(`  Name: ${name}`);
+  logger.log(`  Description: ${description}`);
+  logger.log(`  Actions: ${Object.keys(actions).join(', ')}`);
+  if (Object.keys(attributes).length > 0) {
+    logger.log(`  Attributes: ${Object.entries(attributes).map(([k, a]) => `${k} (${a.type})`).join(', ')}`);
+  }
   logger.blank();
 
   const confirmCreate = await confirm({
@@ -167,7 +287,7 @@ async function runCreateResource() {
   }
 
   logger.blank();
-  await createResource({ key, name, description, actions });
+  await createResource({ key, name, description, actions, attributes });
 }
 
 /**
@@ -199,9 +319,9 @@ async function runCreateRole() {
   // Show summary
   logger.blank();
   logger.info('Role Summary:');
-  console.log(`  Key: ${key}`);
-  console.log(`  Name: ${name}`);
-  console.log(`  Description: ${description}`);
+  logger.log(`  Key: ${key}`);
+  logger.log(`  Name: ${name}`);
+  logger.log(`  Description: ${description}`);
   logger.blank();
 
   const confirmCreate = await confirm({
@@ -304,9 +424,9 @@ async function runCreateUserAttribute() {
   // Show summary
   logger.blank();
   logger.info('User Attribute Summary:');
-  console.log(`  Key: ${key}`);
-  console.log(`  Type: ${type}`);
-  console.log(`  Description: ${description}`);
+  logger.log(`  Key: ${key}`);
+  logger.log(`  Type: ${type}`);
+  logger.log(`  Description: ${description}`);
   logger.blank();
 
   const confirmCreate = await confirm({
@@ -334,20 +454,7 @@ async function runCreateUserSet() {
   logger.info('Fetching available user attributes...');
   const customAttributes = await listUserAttributes();
 
-  // Build attribute choices: built-in attributes + custom attributes
-  const builtInAttributes = [
-    { name: 'email - User email address (built-in)', value: 'email' },
-    { name: 'key - User key/ID (built-in)', value: 'key' },
-  ];
-
-  const customAttributeChoices = customAttributes.map(attr => ({
-    name: `${attr.key} - ${attr.description || attr.type} (custom)`,
-    value: attr.key,
-  }));
-
-  const allAttributeChoices = [...builtInAttributes, ...customAttributeChoices];
-
-  if (allAttributeChoices.length === 2 && customAttributeChoices.length === 0) {
+  if (customAttributes.length === 0) {
     logger.warning('No custom user attributes found.');
     logger.info('You can create custom attributes using "Create User Attribute" option.');
     logger.blank();
@@ -366,35 +473,15 @@ async function runCreateUserSet() {
     validate: (value) => value.trim() ? true : 'User set name is required',
   });
 
-  // Get condition attribute
-  const attribute = await select({
-    message: 'User attribute to match:',
-    choices: allAttributeChoices,
-  });
-
-  // Get condition operator
-  const operator = await select({
-    message: 'Condition operator:',
-    choices: CONDITION_OPERATORS,
-  });
-
-  // Get condition value
-  const conditionValue = await input({
-    message: 'Value to match:',
-    validate: (value) => value.trim() ? true : 'Value is required',
-  });
-
-  // Build conditions
-  const conditions = {
-    allOf: [{ [`user.${attribute}`]: { [operator]: conditionValue } }],
-  };
+  // Build conditions (one or more clauses, nested AND/OR groups)
+  const conditions = await promptConditions(customAttributes);
 
   // Show summary
   logger.blank();
   logger.info('User Set Summary:');
-  console.log(`  Key: ${key}`);
-  console.log(`  Name: ${name}`);
-  console.log(`  Condition: user.${attribute} ${operator} "${conditionValue}"`);
+  logger.log(`  Key: ${key}`);
+  logger.log(`  Name: ${name}`);
+  logger.log(`  Condition: ${describeConditions(conditions)}`);
   logger.blank();
 
   const confirmCreate = await confirm({
@@ -440,27 +527,46 @@ async function runCreateResourceSet() {
 
   const selectedResource = filteredResources.find(r => r.key === selectedResourceKey);
 
+  // All resources of the type, or only those whose attributes match conditions
+  const filter = await select({
+    message: 'Resources in this set:',
+    choices: [
+      { name: `All ${selectedResourceKey} resources (no filter)`, value: 'all' },
+      { name: 'Only resources whose attributes match conditions', value: 'filter' },
+    ],
+  });
+
   // Get resource set key
   const key = await input({
-    message: 'Resource set key (e.g., "all-invoices"):',
-    default: `all-${selectedResourceKey}s`,
+    message: `Resource set key (e.g., "${filter === 'all' ? 'all-invoices' : 'finance-invoices'}"):`,
+    default: filter === 'all' ? `all-${selectedResourceKey}s` : undefined,
     validate: validateKey,
   });
 
   // Get resource set name
   const name = await input({
     message: 'Resource set name:',
-    default: `All ${selectedResource.name}s`,
+    default: filter === 'all' ? `All ${selectedResource.name}s` : keyToDisplayName(key),
     validate: (value) => value.trim() ? true : 'Resource set name is required',
   });
 
+  // Build conditions on resource.<attribute> (values or user attributes)
+  let conditions = { allOf: [] };
+  if (filter === 'filter') {
+    const attributes = await promptResourceAttributes(selectedResourceKey);
+    conditions = await promptConditions(attributes, {
+      subject: 'resource',
+      userAttributes: await listUserAttributes(),
+    });
+  }
+
   // Show summary
   logger.blank();
   logger.info('Resource Set Summary:');
-  console.log(`  Key: ${key}`);
-  console.log(`  Name: ${name}`);
-  console.log(`  Resource: ${selectedResourceKey}`);
-  console.log(`  Conditions: All ${selectedResourceKey} resources (no filter)`);
+  logger.log(`  Key: ${key}`);
+  logger.log(`  Name: ${name}`);
+  logger.log(`  Resource: ${selectedResourceKey}`);
+  logger.log(`  Conditions: ${describeResourceSetConditions(selectedResourceKey, conditions)}`);
   logger.blank();
 
   const confirmCreate = await confirm({
@@ -478,8 +584,173 @@ async function runCreateResourceSet() {
     key,
     name,
     resource_id: selectedResource.id,
-    conditions: { allOf: [] },
+    conditions,
+  });
+}
+
+/**
+ * Describe resource set conditions for a summary
+ * @param {string} resourceKey - Resource key
+ * @param {object} conditions - Condition tree
+ * @returns {string} Description
+ */
+function describeResourceSetConditions(resourceKey, conditions) {
+  const items = conditions.allOf || conditions.anyOf || [conditions];
+  return items.length === 0
+    ? `All ${resourceKey} resources (no filter)`
+    : describeConditions(conditions);
+}
+
+/**
+ * Get the attributes of a resource, offering to create some if it has none
+ * @param {string} resourceKey - Resource key
+ * @returns {Promise<Array>} Attributes ({ key, type, description })
+ */
+async function promptResourceAttributes(resourceKey) {
+  const attributes = await listResourceAttributes(resourceKey);
+  if (attributes.length > 0) {
+    return attributes;
+  }
+
+  logger.warning(`Resource '${resourceKey}' has no attributes to filter on.`);
+  while (await confirm({
+    message: attributes.length === 0 ? 'Create a resource attribute now?' : 'Create another resource attribute?',
+    default: attributes.length === 0,
+  })) {
+    const attribute = await promptResourceAttribute(resourceKey);
+    if (await createResourceAttribute(resourceKey, attribute)) {
+      attributes.push(attribute);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Prompt for a resource attribute definition
+ * @param {string} resourceKey - Resource key (used in the default description)
+ * @returns {Promise<{key: string, type: string, description: string}>} Attribute
+ */
+async function promptResourceAttribute(resourceKey) {
+  const key = await input({
+    message: 'Attribute key (lowercase, e.g., "department"):',
+    validate: validateKey,
+  });
+
+  const type = await select({
+    message: 'Attribute type:',
+    choices: ATTRIBUTE_TYPES,
+  });
+
+  const description = await input({
+    message: 'Attribute description:',
+    default: `${keyToDisplayName(key)} of the ${resourceKey}`,
+  });
+
+  return { key, type, description };
+}
+
+/**
+ * Print the attributes of a resource, one per line
+ * @param {string} resourceKey - Resource key
+ * @param {Array} attributes - Attributes from listResourceAttributes()
+ */
+function printResourceAttributes(resourceKey, attributes) {
+  if (attributes.length === 0) {
+    logger.info(`Resource '${resourceKey}' has no attributes.`);
+    return;
+  }
+
+  logger.info(`Attributes of ${resourceKey} (${attributes.length}):`);
+  for (const attribute of attributes) {
+    logger.log(`  - ${attribute.key} (${attribute.type})${attribute.description ? ` - ${attribute.description}` : ''}`);
+  }
+}
+
+/**
+ * List, create, update or delete the attributes of a resource interactively
+ */
+async function runManageResourceAttributes() {
+  logger.info('Manage Resource Attributes (ABAC)');
+  logger.blank();
+
+  const resources = (await listResources()).filter((r) => !PROTECTED_RESOURCES.includes(r.key));
+  if (resources.length === 0) {
+    logger.warning('No resources found. Create resources first.');
+    return;
+  }
+
+  const resourceKey = await select({
+    message: 'Select resource:',
+    choices: resources.map((r) => ({ name: `${r.key} - ${r.name}`, value: r.key })),
+  });
+
+  const attributes = await listResourceAttributes(resourceKey);
+  const action = await select({
+    message: 'Attribute action:',
+    choices: [
+      { name: 'List attributes', value: 'list' },
+      { name: 'Create attribute', value: 'create' },
+      ...(attributes.length > 0
+        ? [
+          { name: 'Update attribute', value: 'update' },
+          { name: 'Delete attribute', value: 'delete' },
+        ]
+        : []),
+    ],
+  });
+
+  if (action === 'list') {
+    printResourceAttributes(resourceKey, attributes);
+    return;
+  }
+
+  if (action === 'create') {
+    const attribute = await promptResourceAttribute(resourceKey);
+    logger.blank();
+    await createResourceAttribute(resourceKey, attribute);
+    return;
+  }
+
+  const attributeKey = await select({
+    message: 'Select attribute:',
+    choices: attributes.map((a) => ({ name: `${a.key} (${a.type})`, value: a.key })),
+  });
+  const attribute = attributes.find((a) => a.key === attributeKey);
+
+  if (action === 'update') {
+    const type = await select({
+      message: 'Attribute type:',
+      choices: ATTRIBUTE_TYPES,
+      default: attribute.type,
+    });
+
+    const description = await input({
+      message: 'Attribute description:',
+      default: attribute.description || '',
+    });
+
+    logger.blank();
+    await updateResourceAttribute(resourceKey, attributeKey, { type, description });
+    return;
+  }
+
+  const confirmDelete = await confirm({
+    message: `Delete attribute '${resourceKey}.${attributeKey}'? Resource sets filtering on it stop matching.`,
+    default: false,
   });
+
+  if (!confirmDelete) {
+    logger.info('Attribute deletion cancelled.');
+    return;
+  }
+
+  logger.blank();
+  if (await deleteResourceAttribute(resourceKey, attributeKey)) {
+    logger.success(`Resource attribute '${resourceKey}.${attributeKey}' deleted`);
+  } else {
+    logger.warning(`Failed to delete resource attribute '${resourceKey}.${attributeKey}'`);
+  }
 }
 
 /**
@@ -488,17 +759,81 @@ async function runCreateResourceSet() {
 async function runVerify() {
   logger.info('Running: Verify Setup');
   logger.blank();
-  await verifySetup();
+  return verifySetup();
+}
+
+/**
+ * Whether the matrix is printed to stdout in a file format (CSV, Markdown, HTML)
+ * @param {object} options - Command options ({ out, format })
+ * @returns {boolean} True if nothing but the matrix should be printed
+ */
+function isRawMatrixOutput(options) {
+  return !options.out && !outputMode.json && matrixFormat(options.out, options.format) !== 'table';
+}
+
+/**
+ * Run the permission matrix report
+ * @param {object} options - Command options ({ out, format, policy })
+ */
+async function runMatrix(options) {
+  const raw = isRawMatrixOutput(options);
+  let model;
+  let title;
+  if (options.policy) {
+    if (!raw) logger.info(`Loading policy file: ${options.policy}`);
+    model = loadSnapshot(options.policy).model;
+    title = `Permission matrix: ${options.policy}`;
+  } else {
+    if (!raw) logger.info(`Reading ${config.projectId}/${config.envId}...`);
+    model = await fetchLiveState();
+    title = `Permission matrix: ${config.projectId}/${config.envId}`;
+  }
+  if (!raw) logger.blank();
+
+  const matrix = buildMatrix(model);
+  if (matrix.subjects.length === 0 || matrix.permissions.length === 0) {
+    logger.warning('No roles, user sets or resource actions found');
+    return { matrix: matrixToJson(matrix) };
+  }
+
+  const format = matrixFormat(options.out, options.format);
+  const output = renderMatrix(matrix, format, title);
+
+  if (options.out) {
+    writeFileSync(options.out, output);
+    logger.success(`Permission matrix written to ${options.out}`);
+  } else if (!outputMode.json) {
+    console.log(output);
+  }
+  return { matrix: matrixToJson(matrix), ...(options.out ? { file: options.out } : {}) };
+}
+
+/**
+ * Prompt for a matrix format and show or export the permission matrix
+ */
+async function runMatrixInteractive() {
+  const format = await select({
+    message: 'Output:',
+    choices: [
+      { name: 'Terminal table', value: 'table' },
+      { name: 'CSV file', value: 'csv' },
+      { name: 'Markdown file', value: 'markdown' },
+      { name: 'HTML file', value: 'html' },
+    ],
+  });
+
+  const out = format === 'table'
+    ? undefined
+    : await input({ message: 'Output file:', default: defaultMatrixName(format) });
+
+  await runMatrix({ format, out });
 }
 
 /**
  * Run reset all (remove everything)
  */
 async function runResetAll() {
-  const confirmed = await confirm({
-    message: 'This will DELETE all resources, roles, user sets, resource sets, and set rules. Are you sure?',
-    default: false,
-  });
+  const confirmed = await confirmAction('This will DELETE all resources, roles, user sets, resource sets, and set rules. Are you sure?');
 
   if (!confirmed) {
     logger.info('Reset cancelled.');
@@ -506,17 +841,14 @@ async function runResetAll() {
   }
 
   logger.blank();
-  await resetAll();
+  return resetAll();
 }
 
 /**
  * Run reset ABAC only
  */
 async function runResetAbac() {
-  const confirmed = await confirm({
-    message: 'This will DELETE all user attributes, user sets, resource sets, and set rules. Are you sure?',
-    default: false,
-  });
+  const confirmed = await confirmAction('This will DELETE all user attributes, resource attributes, user sets, resource sets, and set rules. Are you sure?');
 
   if (!confirmed) {
     logger.info('Reset cancelled.');
@@ -524,17 +856,14 @@ async function runResetAbac() {
   }
 
   logger.blank();
-  await resetAbac();
+  return resetAbac();
 }
 
 /**
  * Run reset resources only
  */
 async function runResetResources() {
-  const confirmed = await confirm({
-    message: 'This will DELETE all resources. Are you sure?',
-    default: false,
-  });
+  const confirmed = await confirmAction('This will DELETE all resources. Are you sure?');
 
   if (!confirmed) {
     logger.info('Reset cancelled.');
@@ -542,17 +871,14 @@ async function runResetResources() {
   }
 
   logger.blank();
-  await resetResources();
+  return resetResources();
 }
 
 /**
  * Run reset roles only
  */
 async function runResetRoles() {
-  const confirmed = await confirm({
-    message: 'This will DELETE all roles. Are you sure?',
-    default: false,
-  });
+  const confirmed = await confirmAction('This will DELETE all roles. Are you sure?');
 
   if (!confirmed) {
     logger.info('Reset cancelled.');
@@ -560,229 +886,2963 @@ async function runResetRoles() {
   }
 
   logger.blank();
-  await resetRoles();
+  return resetRoles();
 }
 
 /**
- * Show How-to Guide for ABAC setup
+ * Preview selected reset items, confirm and delete them
+ * @param {Array} changes - Delete changes from selectResetChanges()
  */
-async function showHowTo() {
-  logger.header('How to Set Up ABAC with Permit.io');
+async function runResetSelected(changes) {
+  const plan = { changes, summary: { create: 0, update: 0, delete: changes.length } };
+  printPlan(plan);
   logger.blank();
 
-  console.log('ABAC (Attribute-Based Access Control) allows you to define access rules');
-  console.log('based on user attributes rather than just roles.');
-  logger.blank();
+  if (changes.length === 0) {
+    return { plan: plan.summary };
+  }
 
-  logger.info('=== Setup Order (Follow These Steps) ===');
-  logger.blank();
+  const confirmed = await confirmAction(`Delete these ${changes.length} item(s) from ${config.projectId}/${config.envId}?`);
+  if (!confirmed) {
+    logger.info('Reset cancelled.');
+    return { plan: plan.summary, cancelled: true };
+  }
 
-  console.log('STEP 1: Create a Resource');
-  console.log('   - Define what you want to protect (e.g., "invoice", "document")');
-  console.log('   - Add actions like: create, read, update, delete');
-  console.log('   Example: Resource "invoice" with actions: read, create, delete');
   logger.blank();
+  const summary = await resetSelected(changes);
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+  return { plan: plan.summary, ...summary };
+}
 
-  console.log('STEP 2: Create User Attribute(s)');
-  console.log('   - Define custom attributes on users (e.g., "department", "groups")');
-  console.log('   - Choose the right type:');
-  console.log('     * string  - Single text value (e.g., department: "engineering")');
-  console.log('     * number  - Numeric value (e.g., level: 5)');
-  console.log('     * bool    - True/false (e.g., is_manager: true)');
-  console.log('     * array   - List of values (e.g., groups: ["admin", "billing"])');
-  console.log('   Example: Attribute "groups" with type "array"');
-  logger.blank();
+/**
+ * Run a selective reset from command line options
+ * @param {object} options - Command options ({ type, match, notIn })
+ */
+async function runSelectiveReset(options) {
+  const types = options.type ? splitList(options.type) : undefined;
+  const unknown = (types || []).filter((type) => !PLAN_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown type(s): ${unknown.join(', ')}. Use: ${PLAN_TYPES.join(', ')}`);
+  }
+  if (!types && options.match.length === 0 && !options.notIn) {
+    throw new Error('Give at least one filter (--type, --match or --not-in). Use --reset to reset everything.');
+  }
 
-  console.log('STEP 3: Create User Set(s)');
-  console.log('   - Define conditions to match users based on attributes');
-  console.log('   - Uses operators: equals, contains, array_contains, etc.');
-  console.log('   Example: User Set "billing-team" where user.groups array_contains "billing"');
-  logger.blank();
+  const notIn = options.notIn ? loadPolicy(options.notIn) : undefined;
+  logger.info(`Reading ${config.projectId}/${config.envId}...`);
+  const changes = selectResetChanges(await fetchLiveState(), { types, match: options.match, notIn });
 
-  console.log('STEP 4: Create Resource Set(s)');
-  console.log('   - Define which resources the rule applies to');
-  console.log('   - Can match all resources or filter by attributes');
-  console.log('   Example: Resource Set "all-invoices" for all invoice resources');
-  logger.blank();
+  return runResetSelected(changes);
+}
 
-  console.log('STEP 5: Set Rules are Created Automatically');
-  console.log('   - When you have User Sets and Resource Sets, Permit.io links them');
-  console.log('   - You can manage these in the Permit.io dashboard');
-  logger.blank();
+/**
+ * Prompt for reset filters, let the user pick items and delete them
+ */
+async function runSelectiveResetInteractive() {
+  const mode = await select({
+    message: 'Select items to reset by:',
+    choices: [
+      { name: 'Type (e.g. all resource sets)', value: 'type' },
+      { name: 'Key pattern (e.g. test-*)', value: 'match' },
+      { name: 'Not declared in a policy file', value: 'not-in' },
+    ],
+  });
 
-  logger.info('=== Example: Billing Team Access to Invoices ===');
-  logger.blank();
-  console.log('Goal: Users with "billing" in their groups can read invoices');
-  logger.blank();
-  console.log('1. Create Resource: "invoice" with action "read"');
-  console.log('2. Create User Attribute: "groups" (type: array)');
-  console.log('3. Create User Set: "billing-users"');
-  console.log('   Condition: user.groups array_contains "billing"');
-  console.log('4. Create Resource Set: "all-invoices" for resource "invoice"');
-  console.log('5. In Permit.io dashboard, create Set Rule:');
-  console.log('   billing-users + all-invoices + invoice:read');
-  logger.blank();
+  const filters = {};
+  if (mode === 'type') {
+    filters.types = await checkbox({
+      message: 'Types to reset:',
+      choices: PLAN_TYPES.map((type) => ({ name: type, value: type })),
+      required: true,
+    });
+  } else if (mode === 'match') {
+    filters.match = [await input({
+      message: 'Key pattern (* and ? wildcards):',
+      validate: (value) => value.trim() ? true : 'Pattern is required',
+    })];
+  } else {
+    const file = await input({
+      message: 'Policy file:',
+      validate: (value) => {
+        if (!value.trim()) {
+          return 'Policy file is required';
+        }
+        try {
+          loadPolicy(value.trim());
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    });
+    filters.notIn = loadPolicy(file.trim());
+  }
 
-  logger.info('=== Testing with permit.check() ===');
-  logger.blank();
-  console.log('In your application code:');
-  logger.blank();
-  console.log('  const permitted = await permit.check(');
-  console.log('    {');
-  console.log('      key: "user-123",');
-  console.log('      attributes: { groups: ["billing", "finance"] }');
-  console.log('    },');
-  console.log('    "read",');
-  console.log('    { type: "invoice", key: "invoice-456" }');
-  console.log('  );');
-  logger.blank();
-  console.log('This checks if user-123 (with groups billing, finance) can read invoice-456.');
-  logger.blank();
+  logger.info(`Reading ${config.projectId}/${config.envId}...`);
+  const candidates = selectResetChanges(await fetchLiveState(), filters);
+  if (candidates.length === 0) {
+    logger.info('No matching items found.');
+    return;
+  }
+
+  const keys = await checkbox({
+    message: 'Items to delete (items that depend on a checked item are deleted with it):',
+    choices: candidates.map((change) => ({
+      name: `${change.type}: ${change.key}`,
+      value: `${change.type}|${change.key}`,
+      checked: true,
+    })),
+  });
+
+  // Unchecked dependents of a checked item are deleted with it, so they are listed before confirming
+  const picked = candidates.filter((change) => keys.includes(`${change.type}|${change.key}`));
+  const changes = withDependentChanges(candidates, picked);
 
-  logger.info('=== Important Notes ===');
-  logger.blank();
-  console.log('* ABAC requires Edge PDP - Cloud PDP does not support User Sets');
-  console.log('* User attributes must be created BEFORE they can be used in User Sets');
-  console.log('* Built-in attributes (email, key) are always available');
-  console.log('* Use "Verify Setup" to see your current configuration');
   logger.blank();
+  if (changes.length > picked.length) {
+    logger.warning(`${changes.length - picked.length} unchecked item(s) depend on a checked item and are deleted with it.`);
+    logger.blank();
+  }
+  await runResetSelected(changes);
+}
 
-  await confirm({
-    message: 'Press Enter to return to menu...',
-    default: true,
-  });
+/**
+ * Look up attribute types of the user and a resource for value coercion
+ * @param {string} resourceType - Resource key
+ * @returns {Promise<{userTypes: object, resourceTypes: object}>} Types keyed by attribute
+ */
+async function fetchAttributeTypes(resourceType) {
+  const [userAttributes, resource] = await Promise.all([
+    listUserAttributes(),
+    getResource(resourceType),
+  ]);
+
+  const userTypes = Object.fromEntries(userAttributes.map((a) => [a.key, a.type]));
+  const resourceTypes = Object.fromEntries(
+    Object.entries(resource?.attributes || {}).map(([key, a]) => [key, a.type])
+  );
+  return { userTypes, resourceTypes };
 }
 
 /**
- * Interactive menu using inquirer.js
+ * Run a permission check against the Edge PDP and print the decision
+ * @param {object} request - Check request ({ user, action, resource })
  */
-async function showInteractiveMenu() {
-  let continueMenu = true;
+async function runCheckRequest(request) {
+  logger.info(`Checking against Edge PDP at ${config.pdpUrl}...`);
+  logger.blank();
 
-  while (continueMenu) {
-    const choice = await select({
-      message: 'Permit.io Setup - Select an option',
-      choices: [
-        { name: ' ?) How-to Guide (Start Here)', value: 'how-to' },
-        { name: ' 1) Create Resource', value: 'create-resource' },
-        { name: ' 2) Create Role', value: 'create-role' },
-        { name: ' 3) Create User Attribute (ABAC)', value: 'create-user-attribute' },
-        { name: ' 4) Create User Set (ABAC)', value: 'create-user-set' },
-        { name: ' 5) Create Resource Set (ABAC)', value: 'create-resource-set' },
-        { name: ' 6) Verify Setup', value: 'verify' },
-        { name: ' 7) Reset All (Delete Everything)', value: 'reset-all' },
-        { name: ' 8) Reset Resources Only', value: 'reset-resources' },
-        { name: ' 9) Reset Roles Only', value: 'reset-roles' },
-        { name: '10) Reset ABAC Only', value: 'reset-abac' },
-        { name: ' 0) Exit', value: 'exit' },
-      ],
-    });
+  const decision = await checkPermission(request);
 
-    logger.blank();
+  if (!decision) {
+    logger.error('Could not get a decision from the Edge PDP. Is it running?');
+    process.exitCode = 1;
+    return { request, decision: null };
+  }
 
-    switch (choice) {
-      case 'how-to':
-        await showHowTo();
-        break;
-      case 'create-resource':
-        await runCreateResource();
-        break;
-      case 'create-role':
-        await runCreateRole();
-        break;
-      case 'create-user-attribute':
-        await runCreateUserAttribute();
-        break;
-      case 'create-user-set':
-        await runCreateUserSet();
-        break;
-      case 'create-resource-set':
-        await runCreateResourceSet();
-        break;
-      case 'verify':
-        await runVerify();
-        break;
-      case 'reset-all':
-        await runResetAll();
-        break;
-      case 'reset-resources':
-        await runResetResources();
-        break;
-      case 'reset-roles':
-        await runResetRoles();
-        break;
-      case 'reset-abac':
-        await runResetAbac();
-        break;
-      case 'exit':
-        logger.info('Exiting...');
-        process.exit(0);
-    }
+  printDecision(request, decision);
+  return { request, decision };
+}
 
-    logger.blank();
+/**
+ * Load the policy or snapshot used for offline evaluation
+ * @param {object} options - Command options ({ offline, policy })
+ * @returns {object|null} Desired model, or null when not offline
+ */
+function loadOfflineModel(options) {
+  if (!options.offline) {
+    return null;
+  }
+  if (!options.policy) {
+    throw new Error('--offline requires --policy <path> (a policy or snapshot file)');
+  }
+  // Snapshot rules accept exports and backups as well as policy files
+  return loadSnapshot(options.policy).model;
+}
 
-    continueMenu = await confirm({
-      message: 'Run another operation?',
-      default: true,
-    });
+/**
+ * Run check from command line options
+ * @param {object} options - Command options ({ user, attr, action, resource, resourceAttr, tenant, offline, policy })
+ */
+async function runCheck(options) {
+  const model = loadOfflineModel(options);
+  const resource = parseResource(options.resource);
+  const { userTypes, resourceTypes } = model
+    ? modelAttributeTypes(model, resource.type)
+    : await fetchAttributeTypes(resource.type);
+
+  const request = {
+    user: { key: options.user, attributes: parseAttributes(options.attr, userTypes) },
+    action: options.action,
+    resource: {
+      ...resource,
+      tenant: options.tenant,
+      attributes: parseAttributes(options.resourceAttr, resourceTypes),
+    },
+  };
 
+  if (model) {
+    logger.info(`Evaluating offline against '${options.policy}'...`);
     logger.blank();
+    const decision = evaluateCheck(model, request);
+    printDecision(request, decision);
+    return { request, decision };
   }
 
-  logger.info('Exiting...');
+  return runCheckRequest(request);
+}
+
+/**
+ * Run a permission test suite against the Edge PDP (or offline against a policy)
+ * @param {object} options - Command options ({ file, offline, policy })
+ */
+async function runTests(options) {
+  const cases = loadTestSuite(options.file);
+  const model = loadOfflineModel(options);
+
+  let decide = checkPermission;
+  if (model) {
+    logger.info(`Running ${cases.length} check(s) from '${options.file}' offline against '${options.policy}'...`);
+    decide = async (request) => {
+      try {
+        return evaluateCheck(model, request);
+      } catch (error) {
+        logger.warning(error.message);
+        return null;
+      }
+    };
+  } else {
+    logger.info(`Running ${cases.length} check(s) from '${options.file}' against Edge PDP at ${config.pdpUrl}...`);
+  }
+  logger.blank();
+
+  const outcome = await runTestSuite(cases, decide);
+  printTestResults(outcome);
+
+  if (outcome.failed + outcome.errored > 0) {
+    process.exitCode = 1;
+  }
+
+  return {
+    passed: outcome.passed,
+    failed: outcome.failed,
+    errored: outcome.errored,
+    cases: outcome.results.map(({ name, expected, actual, status }) => ({ name, expected, actual, status })),
+  };
+}
+
+/**
+ * Prompt for a permission check and run it against the Edge PDP
+ */
+async function runCheckInteractive() {
+  logger.info('Check Permission (Edge PDP)');
+  logger.blank();
+
+  const resources = (await listResources()).filter(r => !PROTECTED_RESOURCES.includes(r.key));
+  if (resources.length === 0) {
+    logger.warning('No resources found. Create resources first.');
+    return;
+  }
+
+  const userKey = await input({
+    message: 'User key (e.g., "user-123"):',
+    validate: (value) => value.trim() ? true : 'User key is required',
+  });
+
+  const userTypes = await fetchUserAttributeTypes();
+  const userAttributeInput = await input({
+    message: 'User attributes (key=value; separated, e.g., "groups=billing,finance; level=5"):',
+    validate: validateAssignments(userTypes),
+  });
+
+  const resourceType = await select({
+    message: 'Resource type:',
+    choices: resources.map(r => ({ name: `${r.key} - ${r.name}`, value: r.key })),
+  });
+
+  const resource = resources.find(r => r.key === resourceType);
+  const action = await select({
+    message: 'Action:',
+    choices: Object.keys(resource.actions || {}).map(a => ({ name: a, value: a })),
+  });
+
+  const resourceKey = await input({
+    message: 'Resource key (optional, e.g., "invoice-456"):',
+  });
+
+  const resourceTypes = Object.fromEntries(
+    Object.entries(resource.attributes || {}).map(([key, a]) => [key, a.type])
+  );
+  const resourceAttributeInput = await input({
+    message: 'Resource attributes (optional, key=value; separated):',
+    validate: validateAssignments(resourceTypes),
+  });
+
+  const tenant = await input({
+    message: 'Tenant:',
+    default: DEFAULT_TENANT,
+  });
+
+  logger.blank();
+  await runCheckRequest({
+    user: { key: userKey.trim(), attributes: parseAttributes(splitAssignments(userAttributeInput), userTypes) },
+    action,
+    resource: {
+      type: resourceType,
+      ...(resourceKey.trim() ? { key: resourceKey.trim() } : {}),
+      tenant,
+      attributes: parseAttributes(splitAssignments(resourceAttributeInput), resourceTypes),
+    },
+  });
+}
+
+/**
+ * Format tenant attributes for display
+ * @param {object} [attributes] - Tenant attributes
+ * @returns {string} Attributes as JSON, or "(none)"
+ */
+function formatTenantAttributes(attributes = {}) {
+  return Object.keys(attributes).length > 0 ? JSON.stringify(attributes) : '(none)';
+}
+
+/**
+ * Print tenants, one per line
+ * @param {Array} tenants - Tenants from listTenants()
+ */
+function printTenants(tenants) {
+  if (tenants.length === 0) {
+    logger.info('No tenants found.');
+    return;
+  }
+
+  logger.info(`Tenants (${tenants.length}):`);
+  for (const tenant of tenants) {
+    logger.log(`  - ${tenant.key} (${tenant.name})`);
+    if (tenant.description) {
+      logger.log(`      ${tenant.description}`);
+    }
+    if (Object.keys(tenant.attributes || {}).length > 0) {
+      logger.log(`      Attributes: ${formatTenantAttributes(tenant.attributes)}`);
+    }
+  }
+}
+
+/**
+ * Print a tenant summary before it is created or updated
+ * @param {object} tenant - Tenant ({ key, name, description, attributes })
+ */
+function printTenantSummary(tenant) {
+  logger.info('Tenant Summary:');
+  logger.log(`  Key: ${tenant.key}`);
+  logger.log(`  Name: ${tenant.name}`);
+  logger.log(`  Description: ${tenant.description || '(none)'}`);
+  logger.log(`  Attributes: ${formatTenantAttributes(tenant.attributes)}`);
+  logger.blank();
+}
+
+/**
+ * Turn attributes back into "key=value; key=value" prompt input
+ *
+ * Values are written as typed when they parse back to the same value, and
+ * JSON-encoded otherwise, so accepting the prefilled answer keeps "5" a string.
+ * @param {object} [attributes] - Attributes keyed by attribute
+ * @param {object} [types] - Known attribute types keyed by attribute
+ * @returns {string} Prompt input
+ */
+function attributesToAssignments(attributes = {}, types = {}) {
+  const roundTrips = (key, raw, value) => {
+    try {
+      return JSON.stringify(coerceAttributeValue(raw, types[key])) === JSON.stringify(value);
+    } catch {
+      return false;
+    }
+  };
+  return Object.entries(attributes)
+    .map(([key, value]) => {
+      const raw = typeof value === 'string' ? value : JSON.stringify(value);
+      return `${key}=${roundTrips(key, raw, value) ? raw : JSON.stringify(value)}`;
+    })
+    .join('; ');
+}
+
+/**
+ * List, create, update or delete tenants interactively
+ */
+async function runManageTenants() {
+  logger.info('Manage Tenants');
+  logger.blank();
+
+  const tenants = await listTenants();
+  const action = await select({
+    message: 'Tenant action:',
+    choices: [
+      { name: 'List tenants', value: 'list' },
+      { name: 'Create tenant', value: 'create' },
+      ...(tenants.length > 0
+        ? [
+          { name: 'Update tenant', value: 'update' },
+          { name: 'Delete tenant', value: 'delete' },
+        ]
+        : []),
+    ],
+  });
+
+  if (action === 'list') {
+    printTenants(tenants);
+    return;
+  }
+
+  if (action === 'create') {
+    const key = await input({
+      message: 'Tenant key (lowercase, e.g., "acme-corp"):',
+      validate: validateKey,
+    });
+
+    const name = await input({
+      message: 'Tenant name:',
+      default: keyToDisplayName(key),
+    });
+
+    const description = await input({
+      message: 'Tenant description (optional):',
+    });
+
+    const attributeInput = await input({
+      message: 'Tenant attributes (optional, key=value; separated, e.g., "plan=enterprise; seats=50"):',
+      validate: validateAssignments(),
+    });
+
+    const tenant = {
+      key,
+      name,
+      ...(description ? { description } : {}),
+      attributes: parseAttributes(splitAssignments(attributeInput)),
+    };
+
+    logger.blank();
+    printTenantSummary(tenant);
+
+    const confirmCreate = await confirm({
+      message: 'Create this tenant?',
+      default: true,
+    });
+
+    if (!confirmCreate) {
+      logger.info('Tenant creation cancelled.');
+      return;
+    }
+
+    logger.blank();
+    await createTenant(tenant);
+    return;
+  }
+
+  const tenantKey = await select({
+    message: 'Select tenant:',
+    choices: tenants.map((t) => ({ name: `${t.key} - ${t.name}`, value: t.key })),
+  });
+  const tenant = tenants.find((t) => t.key === tenantKey);
+
+  if (action === 'update') {
+    const name = await input({
+      message: 'Tenant name:',
+      default: tenant.name,
+    });
+
+    const description = await input({
+      message: 'Tenant description:',
+      default: tenant.description || '',
+    });
+
+    const attributeInput = await input({
+      message: 'Tenant attributes (key=value; separated, clear to remove all):',
+      default: attributesToAssignments(tenant.attributes),
+      validate: validateAssignments(),
+    });
+
+    const changes = {
+      name,
+      description,
+      attributes: parseAttributes(splitAssignments(attributeInput)),
+    };
+
+    logger.blank();
+    printTenantSummary({ key: tenantKey, ...changes });
+
+    const confirmUpdate = await confirm({
+      message: 'Update this tenant?',
+      default: true,
+    });
+
+    if (!confirmUpdate) {
+      logger.info('Tenant update cancelled.');
+      return;
+    }
+
+    logger.blank();
+    await updateTenant(tenantKey, changes);
+    return;
+  }
+
+  const confirmDelete = await confirm({
+    message: `Delete tenant '${tenantKey}'? Role assignments in this tenant are deleted with it.`,
+    default: false,
+  });
+
+  if (!confirmDelete) {
+    logger.info('Tenant deletion cancelled.');
+    return;
+  }
+
+  logger.blank();
+  if (await deleteTenant(tenantKey)) {
+    logger.success(`Tenant '${tenantKey}' deleted`);
+  } else {
+    logger.warning(`Failed to delete tenant '${tenantKey}'`);
+  }
+}
+
+/**
+ * Look up user attribute types for value coercion
+ * @returns {Promise<object>} Types keyed by attribute (e.g. { groups: 'array' })
+ */
+async function fetchUserAttributeTypes() {
+  return Object.fromEntries((await listUserAttributes()).map((a) => [a.key, a.type]));
+}
+
+/**
+ * Print users with their role assignments, one per line
+ * @param {Array} users - Users from listUsers()
+ * @param {Array} assignments - Role assignments from listRoleAssignments()
+ */
+function printUsers(users, assignments) {
+  if (users.length === 0) {
+    logger.info('No users found.');
+    return;
+  }
+
+  logger.info(`Users (${users.length}):`);
+  for (const user of users) {
+    const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+    const details = [name, user.email].filter(Boolean).join(', ');
+    logger.log(`  - ${user.key}${details ? ` (${details})` : ''}`);
+
+    const roles = assignments.filter((a) => a.user === user.key);
+    if (roles.length > 0) {
+      logger.log(`      Roles: ${roles.map((a) => `${a.role} (${a.tenant})`).join(', ')}`);
+    }
+    if (Object.keys(user.attributes || {}).length > 0) {
+      logger.log(`      Attributes: ${JSON.stringify(user.attributes)}`);
+    }
+  }
+}
+
+/**
+ * Print a user summary before it is created or updated
+ * @param {object} user - User ({ key, email, first_name, last_name, attributes })
+ * @param {Array} [roles] - Role assignments to add ({ role, tenant })
+ */
+function printUserSummary(user, roles = []) {
+  logger.info('User Summary:');
+  logger.log(`  Key: ${user.key}`);
+  logger.log(`  Email: ${user.email || '(none)'}`);
+  logger.log(`  Name: ${[user.first_name, user.last_name].filter(Boolean).join(' ') || '(none)'}`);
+  logger.log(`  Attributes: ${Object.keys(user.attributes || {}).length > 0 ? JSON.stringify(user.attributes) : '(none)'}`);
+  if (roles.length > 0) {
+    logger.log(`  Roles: ${roles.map((a) => `${a.role} (${a.tenant})`).join(', ')}`);
+  }
+  logger.blank();
+}
+
+/**
+ * Assign or remove role assignments of a user and report each one
+ * @param {string} userKey - User key
+ * @param {Array} roles - Role assignments ({ role, tenant })
+ * @param {boolean} [remove] - Remove the roles instead of assigning them
+ * @returns {Promise<number>} Number of role assignments that failed
+ */
+async function changeUserRoles(userKey, roles, remove = false) {
+  let failed = 0;
+  for (const { role, tenant } of roles) {
+    const success = remove
+      ? await unassignRole(userKey, role, tenant)
+      : await assignRole(userKey, role, tenant);
+    const change = remove ? `${role} in ${tenant} from` : `${role} in ${tenant} to`;
+    if (success) {
+      logger.success(`  ${remove ? 'Removed' : 'Assigned'} ${change} ${userKey}`);
+    } else {
+      logger.warning(`  Failed to ${remove ? 'remove' : 'assign'} ${change} ${userKey}`);
+      failed++;
+    }
+  }
+  return failed;
+}
+
+/**
+ * Prompt for a role and a tenant
+ * @returns {Promise<{role: string, tenant: string}|null>} Role assignment, or null if there are no roles
+ */
+async function promptRoleAssignment() {
+  const [roles, tenants] = await Promise.all([listRoles(), listTenants()]);
+  if (roles.length === 0) {
+    logger.warning('No roles found. Create roles first.');
+    return null;
+  }
+
+  const role = await select({
+    message: 'Role:',
+    choices: roles.map((r) => ({ name: `${r.key} - ${r.name}`, value: r.key })),
+  });
+
+  const tenant = tenants.length > 0
+    ? await select({
+      message: 'Tenant:',
+      choices: tenants.map((t) => ({ name: `${t.key} - ${t.name}`, value: t.key })),
+      default: DEFAULT_TENANT,
+    })
+    : await input({ message: 'Tenant:', default: DEFAULT_TENANT });
+
+  return { role, tenant };
+}
+
+/**
+ * Manage users and their role assignments interactively
+ */
+async function runManageUsers() {
+  logger.info('Manage Users');
+  logger.blank();
+
+  const users = await listUsers();
+  const action = await select({
+    message: 'User action:',
+    choices: [
+      { name: 'List users', value: 'list' },
+      { name: 'Create user', value: 'create' },
+      ...(users.length > 0
+        ? [
+          { name: 'Update user', value: 'update' },
+          { name: 'Delete user', value: 'delete' },
+          { name: 'Assign role', value: 'assign' },
+          { name: 'Remove role', value: 'unassign' },
+        ]
+        : []),
+      { name: 'Import users from a CSV, JSON or YAML file', value: 'import' },
+    ],
+  });
+
+  if (action === 'list') {
+    printUsers(users, await listRoleAssignments());
+    return;
+  }
+
+  const types = await fetchUserAttributeTypes();
+
+  if (action === 'import') {
+    const file = await input({
+      message: 'Users file (e.g., "users.csv"):',
+      validate: (value) => {
+        if (!value.trim()) {
+          return 'File is required';
+        }
+        try {
+          loadUsersFile(value.trim(), types);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    });
+    logger.blank();
+    await runUserImportCommand({ file: file.trim() });
+    return;
+  }
+
+  if (action === 'create') {
+    const key = await input({
+      message: 'User key (e.g., "user-123"):',
+      validate: (value) => value.trim() ? true : 'User key is required',
+    });
+    const email = await input({ message: 'Email (optional):' });
+    const firstName = await input({ message: 'First name (optional):' });
+    const lastName = await input({ message: 'Last name (optional):' });
+    const attributeInput = await input({
+      message: 'User attributes (optional, key=value; separated, e.g., "groups=billing,finance; level=5"):',
+      validate: validateAssignments(types),
+    });
+
+    const user = {
+      key: key.trim(),
+      ...(email ? { email } : {}),
+      ...(firstName ? { first_name: firstName } : {}),
+      ...(lastName ? { last_name: lastName } : {}),
+      attributes: parseAttributes(splitAssignments(attributeInput), types),
+    };
+
+    const roles = [];
+    while (await confirm({ message: roles.length === 0 ? 'Assign a role?' : 'Assign another role?', default: roles.length === 0 })) {
+      const assignment = await promptRoleAssignment();
+      if (!assignment) break;
+      roles.push(assignment);
+    }
+
+    logger.blank();
+    printUserSummary(user, roles);
+
+    const confirmCreate = await confirm({
+      message: 'Create this user?',
+      default: true,
+    });
+
+    if (!confirmCreate) {
+      logger.info('User creation cancelled.');
+      return;
+    }
+
+    logger.blank();
+    if (await createUser(user)) {
+      await changeUserRoles(user.key, roles);
+    }
+    return;
+  }
+
+  const userKey = await select({
+    message: 'Select user:',
+    choices: users.map((u) => ({ name: u.email ? `${u.key} - ${u.email}` : u.key, value: u.key })),
+  });
+  const user = users.find((u) => u.key === userKey);
+
+  if (action === 'update') {
+    const email = await input({ message: 'Email:', default: user.email || '' });
+    const firstName = await input({ message: 'First name:', default: user.first_name || '' });
+    const lastName = await input({ message: 'Last name:', default: user.last_name || '' });
+    const attributeInput = await input({
+      message: 'User attributes (key=value; separated, clear to remove all):',
+      default: attributesToAssignments(user.attributes, types),
+      validate: validateAssignments(types),
+    });
+
+    const changes = {
+      email,
+      first_name: firstName,
+      last_name: lastName,
+      attributes: parseAttributes(splitAssignments(attributeInput), types),
+    };
+
+    logger.blank();
+    printUserSummary({ key: userKey, ...changes });
+
+    const confirmUpdate = await confirm({
+      message: 'Update this user?',
+      default: true,
+    });
+
+    if (!confirmUpdate) {
+      logger.info('User update cancelled.');
+      return;
+    }
+
+    logger.blank();
+    await updateUser(userKey, changes);
+    return;
+  }
+
+  if (action === 'assign') {
+    const assignment = await promptRoleAssignment();
+    if (assignment) {
+      logger.blank();
+      await changeUserRoles(userKey, [assignment]);
+    }
+    return;
+  }
+
+  if (action === 'unassign') {
+    const assignments = await listRoleAssignments({ user: userKey });
+    if (assignments.length === 0) {
+      logger.info(`User '${userKey}' has no roles.`);
+      return;
+    }
+
+    const roles = await checkbox({
+      message: 'Roles to remove:',
+      choices: assignments.map((a) => ({ name: `${a.role} (${a.tenant})`, value: { role: a.role, tenant: a.tenant } })),
+    });
+
+    logger.blank();
+    await changeUserRoles(userKey, roles, true);
+    return;
+  }
+
+  const confirmDelete = await confirm({
+    message: `Delete user '${userKey}' and all their role assignments?`,
+    default: false,
+  });
+
+  if (!confirmDelete) {
+    logger.info('User deletion cancelled.');
+    return;
+  }
+
+  logger.blank();
+  if (await deleteUser(userKey)) {
+    logger.success(`User '${userKey}' deleted`);
+  } else {
+    logger.warning(`Failed to delete user '${userKey}'`);
+  }
+}
+
+/**
+ * Parse a resource instance reference of the form "resource:key"
+ * @param {string} reference - Instance reference (e.g. "company:acme")
+ * @returns {{resource: string, key: string}} Resource and instance keys
+ */
+function parseInstance(reference) {
+  const { type, key } = parseResource(reference);
+  if (!type || !key) {
+    throw new Error(`Invalid resource instance '${reference}', expected "resource:key" (e.g. company:acme)`);
+  }
+  return { resource: type, key };
+}
+
+/**
+ * Print resource instances, one per line
+ * @param {Array} instances - Instances from listResourceInstances()
+ */
+function printInstances(instances) {
+  if (instances.length === 0) {
+    logger.info('No resource instances found.');
+    return;
+  }
+
+  logger.info(`Resource instances (${instances.length}):`);
+  for (const instance of instances) {
+    logger.log(`  - ${instance.resource}:${instance.key} (tenant: ${instance.tenant})`);
+    if (Object.keys(instance.attributes || {}).length > 0) {
+      logger.log(`      Attributes: ${JSON.stringify(instance.attributes)}`);
+    }
+  }
+}
+
+/**
+ * Print relationship tuples, one per line
+ * @param {Array} tuples - Tuples from listRelationshipTuples()
+ */
+function printTuples(tuples) {
+  if (tuples.length === 0) {
+    logger.info('No relationship tuples found.');
+    return;
+  }
+
+  logger.info(`Relationship tuples (${tuples.length}):`);
+  for (const tuple of tuples) {
+    logger.log(`  - ${tuple.subject} ${tuple.relation} ${tuple.object}${tuple.tenant ? ` (tenant: ${tuple.tenant})` : ''}`);
+  }
+}
+
+/**
+ * Prompt for a tenant, from the tenants of the environment when there are any
+ * @returns {Promise<string>} Tenant key
+ */
+async function promptTenant() {
+  const tenants = await listTenants();
+  return tenants.length > 0
+    ? select({
+      message: 'Tenant:',
+      choices: tenants.map((t) => ({ name: `${t.key} - ${t.name}`, value: t.key })),
+      default: DEFAULT_TENANT,
+    })
+    : input({ message: 'Tenant:', default: DEFAULT_TENANT });
+}
+
+/**
+ * Manage resource instances and relationship tuples interactively
+ */
+async function runManageInstances() {
+  logger.info('Manage Resource Instances (ReBAC)');
+  logger.blank();
+
+  const instances = await listResourceInstances();
+  const action = await select({
+    message: 'Instance action:',
+    choices: [
+      { name: 'List resource instances', value: 'list' },
+      { name: 'Create resource instance', value: 'create' },
+      ...(instances.length > 0 ? [{ name: 'Delete resource instance', value: 'delete' }] : []),
+      { name: 'List relationship tuples', value: 'list-tuples' },
+      ...(instances.length > 1 ? [{ name: 'Create relationship tuple', value: 'create-tuple' }] : []),
+      { name: 'Delete relationship tuple', value: 'delete-tuple' },
+    ],
+  });
+
+  const instanceChoices = instances.map((i) => ({
+    name: `${i.resource}:${i.key} (tenant: ${i.tenant})`,
+    value: `${i.resource}:${i.key}`,
+  }));
+
+  if (action === 'list') {
+    printInstances(instances);
+    return;
+  }
+
+  if (action === 'list-tuples') {
+    printTuples(await listRelationshipTuples());
+    return;
+  }
+
+  if (action === 'create') {
+    const resources = (await listResources()).filter((r) => !PROTECTED_RESOURCES.includes(r.key));
+    if (resources.length === 0) {
+      logger.warning('No resources found. Create resources first.');
+      return;
+    }
+
+    const resourceType = await select({
+      message: 'Resource type:',
+      choices: resources.map((r) => ({ name: `${r.key} - ${r.name}`, value: r.key })),
+    });
+
+    const key = await input({
+      message: 'Instance key (e.g., "acme"):',
+      validate: (value) => value.trim() ? true : 'Instance key is required',
+    });
+
+    const tenant = await promptTenant();
+
+    const resource = resources.find((r) => r.key === resourceType);
+    const attributeInput = await input({
+      message: 'Instance attributes (optional, key=value; separated, e.g., "region=eu"):',
+      validate: validateAssignments(Object.fromEntries(
+        Object.entries(resource.attributes || {}).map(([attribute, a]) => [attribute, a.type])
+      )),
+    });
+
+    logger.blank();
+    await runInstanceCreateCommand(`${resourceType}:${key.trim()}`, {
+      tenant,
+      attr: splitAssignments(attributeInput),
+    });
+    return;
+  }
+
+  if (action === 'delete') {
+    const reference = await select({
+      message: 'Select resource instance:',
+      choices: instanceChoices,
+    });
+    logger.blank();
+    await runInstanceDeleteCommand(reference);
+    return;
+  }
+
+  if (action === 'create-tuple') {
+    const subject = await select({
+      message: 'Subject (e.g., the parent company):',
+      choices: instanceChoices,
+    });
+
+    const relation = await input({
+      message: 'Relation (defined on the object\'s resource):',
+      default: 'parent',
+      validate: validateKey,
+    });
+
+    const object = await select({
+      message: 'Object (e.g., the branch):',
+      choices: instanceChoices.filter((choice) => choice.value !== subject),
+    });
+
+    const tenant = instances.find((i) => `${i.resource}:${i.key}` === object).tenant;
+    logger.blank();
+    await runTupleCommand(subject, relation, object, { tenant });
+    return;
+  }
+
+  const tuples = await listRelationshipTuples();
+  if (tuples.length === 0) {
+    logger.info('No relationship tuples found.');
+    return;
+  }
+
+  const tuple = await select({
+    message: 'Select relationship tuple:',
+    choices: tuples.map((t) => ({ name: `${t.subject} ${t.relation} ${t.object}`, value: t })),
+  });
+  logger.blank();
+  await runTupleCommand(tuple.subject, tuple.relation, tuple.object, {}, true);
+}
+
+/**
+ * Fetch the resource sets set rules can use, including the auto-generated
+ * "__autogen_<resource>" set of every resource (all instances of the resource)
+ * @returns {Promise<Array<{key: string, name: string, resource: string, actions: Array<string>}>>} Resource sets
+ */
+async function fetchResourceSets() {
+  const [resources, conditionSets] = await Promise.all([listResources(), listConditionSets()]);
+  const userResources = resources.filter((r) => !PROTECTED_RESOURCES.includes(r.key));
+  const resourceKeysById = new Map(resources.map((r) => [r.id, r.key]));
+  const actionsOf = (resourceKey) => Object.keys(resources.find((r) => r.key === resourceKey)?.actions || {});
+
+  const resourceSets = conditionSets
+    .filter((cs) => cs.type === CONDITION_SET_TYPES.RESOURCE_SET && !cs.key.startsWith(AUTOGEN_PREFIX))
+    .map((cs) => {
+      const resource = cs.resource?.key || resourceKeysById.get(cs.resource_id) || cs.resource_id;
+      return { key: cs.key, name: cs.name, resource, actions: actionsOf(resource) };
+    });
+
+  return [
+    ...userResources.map((r) => ({
+      key: `${AUTOGEN_PREFIX}${r.key}`,
+      name: `All ${r.key} resources`,
+      resource: r.key,
+      actions: actionsOf(r.key),
+    })),
+    ...resourceSets,
+  ];
+}
+
+/**
+ * Print set rules grouped by user set, then by resource set
+ * @param {Array} setRules - Set rules from listSetRules()
+ */
+function printSetRules(setRules) {
+  if (setRules.length === 0) {
+    logger.info('No set rules found.');
+    return;
+  }
+
+  const byUserSet = new Map();
+  for (const rule of setRules) {
+    const byResourceSet = byUserSet.get(rule.user_set) || new Map();
+    byResourceSet.set(rule.resource_set, [...(byResourceSet.get(rule.resource_set) || []), rule.permission]);
+    byUserSet.set(rule.user_set, byResourceSet);
+  }
+
+  logger.info(`Set rules (${setRules.length}):`);
+  for (const [userSet, byResourceSet] of byUserSet) {
+    logger.log(`  ${userSet}:`);
+    for (const [resourceSet, permissions] of byResourceSet) {
+      logger.log(`    - ${resourceSet}: ${permissions.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Create or delete set rules, logging each one
+ * @param {Array<{userSet: string, resourceSet: string, permission: string}>} rules - Set rules
+ * @param {boolean} [remove] - Delete the rules instead of creating them
+ * @returns {Promise<number>} Number of rules that failed
+ */
+async function changeSetRules(rules, remove = false) {
+  let failed = 0;
+  for (const { userSet, resourceSet, permission } of rules) {
+    const description = `${userSet} -> ${permission} (${resourceSet})`;
+    const success = remove
+      ? await deleteSetRule(userSet, resourceSet, permission)
+      : await createSetRule(userSet, resourceSet, permission);
+    if (success) {
+      logger.success(`  ${remove ? 'Deleted' : 'Created'} set rule: ${description}`);
+    } else {
+      logger.warning(`  Failed to ${remove ? 'delete' : 'create'} set rule: ${description}`);
+      failed++;
+    }
+  }
+  return failed;
+}
+
+/**
+ * Manage set rules (user set + resource set + action) interactively
+ */
+async function runManageSetRules() {
+  logger.info('Manage Set Rules (ABAC)');
+  logger.blank();
+
+  const setRules = await listSetRules();
+  const action = await select({
+    message: 'Set rule action:',
+    choices: [
+      { name: 'List set rules', value: 'list' },
+      { name: 'Create set rules', value: 'create' },
+      ...(setRules.length > 0 ? [{ name: 'Delete set rules', value: 'delete' }] : []),
+    ],
+  });
+
+  if (action === 'list') {
+    printSetRules(setRules);
+    return;
+  }
+
+  if (action === 'delete') {
+    const userSet = await select({
+      message: 'Select user set:',
+      choices: [...new Set(setRules.map((rule) => rule.user_set))].map((key) => ({ name: key, value: key })),
+    });
+
+    const selected = await checkbox({
+      message: `Set rules of ${userSet} to delete:`,
+      choices: setRules
+        .filter((rule) => rule.user_set === userSet)
+        .map((rule) => ({
+          name: `${rule.permission} on ${rule.resource_set}`,
+          value: { userSet, resourceSet: rule.resource_set, permission: rule.permission },
+        })),
+      required: true,
+    });
+
+    const confirmDelete = await confirm({
+      message: `Delete ${selected.length} set rule(s)? Users in ${userSet} lose these permissions.`,
+      default: false,
+    });
+    if (!confirmDelete) {
+      logger.info('Set rule deletion cancelled.');
+      return;
+    }
+
+    logger.blank();
+    await changeSetRules(selected, true);
+    return;
+  }
+
+  const userSets = (await listConditionSets()).filter(
+    (cs) => cs.type === CONDITION_SET_TYPES.USER_SET && !cs.key.startsWith(AUTOGEN_PREFIX)
+  );
+  if (userSets.length === 0) {
+    logger.warning('No user sets found. Create a user set first.');
+    return;
+  }
+
+  const resourceSets = (await fetchResourceSets()).filter((rs) => rs.actions.length > 0);
+  if (resourceSets.length === 0) {
+    logger.warning('No resources with actions found. Create resources first.');
+    return;
+  }
+
+  const userSet = await select({
+    message: 'User set (who):',
+    choices: userSets.map((us) => ({ name: `${us.key} - ${us.name}`, value: us.key })),
+  });
+
+  // Permissions the user set already has, keyed by resource set (shown as existing)
+  const existing = (rs) => new Set(setRules
+    .filter((rule) => rule.user_set === userSet && rule.resource_set === rs.key)
+    .map((rule) => rule.permission));
+  const openResourceSets = resourceSets.filter(
+    (rs) => rs.actions.some((a) => !existing(rs).has(`${rs.resource}:${a}`))
+  );
+  if (openResourceSets.length === 0) {
+    logger.warning(`${userSet} already has every action on every resource set.`);
+    return;
+  }
+
+  const resourceSetKey = await select({
+    message: 'Resource set (what):',
+    choices: openResourceSets.map((rs) => ({ name: `${rs.key} - ${rs.name}`, value: rs.key })),
+  });
+  const resourceSet = openResourceSets.find((rs) => rs.key === resourceSetKey);
+  const existingPermissions = existing(resourceSet);
+
+  const actions = await checkbox({
+    message: `Actions on ${resourceSet.resource} (allowed):`,
+    choices: resourceSet.actions.map((a) => ({
+      name: a,
+      value: a,
+      disabled: existingPermissions.has(`${resourceSet.resource}:${a}`) ? '(exists)' : false,
+    })),
+    required: true,
+  });
+
+  logger.blank();
+  logger.info('Set Rule Summary:');
+  logger.log(`  User Set: ${userSet}`);
+  logger.log(`  Resource Set: ${resourceSetKey}`);
+  logger.log(`  Permissions: ${actions.map((a) => `${resourceSet.resource}:${a}`).join(', ')}`);
+  logger.blank();
+
+  const confirmCreate = await confirm({
+    message: 'Create these set rules?',
+    default: true,
+  });
+  if (!confirmCreate) {
+    logger.info('Set rule creation cancelled.');
+    return;
+  }
+
+  logger.blank();
+  await changeSetRules(actions.map((a) => ({
+    userSet,
+    resourceSet: resourceSetKey,
+    permission: `${resourceSet.resource}:${a}`,
+  })));
+}
+
+/**
+ * Switch to another connection profile
+ */
+async function runSwitchProfile() {
+  const profiles = loadProfiles();
+  const names = Object.keys(profiles);
+
+  if (names.length === 0) {
+    logger.warning(`No profiles found. Create ${PROFILES_PATH} to define profiles.`);
+    return;
+  }
+
+  const name = await select({
+    message: 'Select profile:',
+    choices: names.map((profileName) => {
+      const profile = profiles[profileName];
+      const target = `${profile.projectId || config.projectId}/${profile.envId || config.envId}`;
+      return {
+        name: `${profileName} (${target})${profileName === config.profile ? ' - current' : ''}`,
+        value: profileName,
+      };
+    }),
+  });
+
+  applyProfile(name);
+  validateConfig();
+  showHeader();
+  logger.success(`Switched to profile '${name}'`);
+}
+
+/**
+ * Show How-to Guide for ABAC setup
+ */
+async function showHowTo() {
+  logger.header('How to Set Up ABAC with Permit.io');
+  logger.blank();
+
+  logger.log('ABAC (Attribute-Based Access Control) allows you to define access rules');
+  logger.log('based on user attributes rather than just roles.');
+  logger.blank();
+
+  logger.info('=== Setup Order (Follow These Steps) ===');
+  logger.blank();
+
+  logger.log('STEP 1: Create a Resource');
+  logger.log('   - Define what you want to protect (e.g., "invoice", "document")');
+  logger.log('   - Add actions like: create, read, update, delete');
+  logger.log('   Example: Resource "invoice" with actions: read, create, delete');
+  logger.blank();
+
+  logger.log('STEP 2: Create User Attribute(s)');
+  logger.log('   - Define custom attributes on users (e.g., "department", "groups")');
+  logger.log('   - Choose the right type:');
+  logger.log('     * string  - Single text value (e.g., department: "engineering")');
+  logger.log('     * number  - Numeric value (e.g., level: 5)');
+  logger.log('     * bool    - True/false (e.g., is_manager: true)');
+  logger.log('     * array   - List of values (e.g., groups: ["admin", "billing"])');
+  logger.log('   Example: Attribute "groups" with type "array"');
+  logger.blank();
+
+  logger.log('STEP 3: Create User Set(s)');
+  logger.log('   - Define conditions to match users based on attributes');
+  logger.log('   - Uses operators: equals, contains, array_contains, etc.');
+  logger.log('   Example: User Set "billing-team" where user.groups array_contains "billing"');
+  logger.blank();
+
+  logger.log('STEP 4: Create Resource Set(s)');
+  logger.log('   - Define which resources the rule applies to');
+  logger.log('   - Can match all resources or filter by attributes');
+  logger.log('   Example: Resource Set "all-invoices" for all invoice resources');
+  logger.blank();
+
+  logger.log('STEP 5: Create Set Rule(s)');
+  logger.log('   - Allow a User Set to perform actions on a Resource Set');
+  logger.log('   - Use "Manage Set Rules" in this menu, or: permit-setup setrule create');
+  logger.log('   - __autogen_<resource> is the Resource Set of all resources of a type');
+  logger.blank();
+
+  logger.info('=== Example: Billing Team Access to Invoices ===');
+  logger.blank();
+  logger.log('Goal: Users with "billing" in their groups can read invoices');
+  logger.blank();
+  logger.log('1. Create Resource: "invoice" with action "read"');
+  logger.log('2. Create User Attribute: "groups" (type: array)');
+  logger.log('3. Create User Set: "billing-users"');
+  logger.log('   Condition: user.groups array_contains "billing"');
+  logger.log('4. Create Resource Set: "all-invoices" for resource "invoice"');
+  logger.log('5. Create Set Rule (Manage Set Rules):');
+  logger.log('   billing-users + all-invoices + invoice:read');
+  logger.blank();
+
+  logger.info('=== Testing with permit.check() ===');
+  logger.blank();
+  logger.log('In your application code:');
+  logger.blank();
+  logger.log('  const permitted = await permit.check(');
+  logger.log('    {');
+  logger.log('      key: "user-123",');
+  logger.log('      attributes: { groups: ["billing", "finance"] }');
+  logger.log('    },');
+  logger.log('    "read",');
+  logger.log('    { type: "invoice", key: "invoice-456" }');
+  logger.log('  );');
+  logger.blank();
+  logger.log('This checks if user-123 (with groups billing, finance) can read invoice-456.');
+  logger.blank();
+  logger.log('To run the same check from this tool, use "Check Permission" or:');
+  logger.log('  permit-setup check -u user-123 -a groups=billing,finance --action read --resource invoice:invoice-456');
+  logger.blank();
+
+  logger.info('=== Important Notes ===');
+  logger.blank();
+  logger.log('* ABAC requires Edge PDP - Cloud PDP does not support User Sets');
+  logger.log('* User attributes must be created BEFORE they can be used in User Sets');
+  logger.log('* Built-in attributes (email, key) are always available');
+  logger.log('* Use "Verify Setup" to see your current configuration');
+  logger.blank();
+
+  await confirm({
+    message: 'Press Enter to return to menu...',
+    default: true,
+  });
+}
+
+/**
+ * Interactive menu using inquirer.js
+ */
+async function showInteractiveMenu() {
+  if (outputMode.json) {
+    throw new Error('The interactive menu does not support --output json. Use a command or an option such as --verify.');
+  }
+
+  let continueMenu = true;
+
+  while (continueMenu) {
+    const choice = await select({
+      message: 'Permit.io Setup - Select an option',
+      choices: [
+        { name: ' ?) How-to Guide (Start Here)', value: 'how-to' },
+        { name: ' 1) Create Resource', value: 'create-resource' },
+        { name: ' 2) Create Role', value: 'create-role' },
+        { name: ' 3) Create User Attribute (ABAC)', value: 'create-user-attribute' },
+        { name: ' 4) Create User Set (ABAC)', value: 'create-user-set' },
+        { name: ' 5) Create Resource Set (ABAC)', value: 'create-resource-set' },
+        { name: ' 6) Verify Setup', value: 'verify' },
+        { name: ' 7) Reset All (Delete Everything)', value: 'reset-all' },
+        { name: ' 8) Reset Resources Only', value: 'reset-resources' },
+        { name: ' 9) Reset Roles Only', value: 'reset-roles' },
+        { name: '10) Reset ABAC Only', value: 'reset-abac' },
+        { name: '11) Selective Reset', value: 'reset-selected' },
+        { name: '12) Check Permission (Edge PDP)', value: 'check' },
+        { name: '13) Permission Matrix', value: 'matrix' },
+        { name: '14) Manage Tenants', value: 'tenants' },
+        { name: '15) Manage Users', value: 'users' },
+        { name: '16) Manage Resource Instances (ReBAC)', value: 'instances' },
+        { name: '17) Manage Resource Attributes (ABAC)', value: 'resource-attributes' },
+        { name: '18) Manage Set Rules (ABAC)', value: 'set-rules' },
+        { name: '19) Switch Profile', value: 'switch-profile' },
+        { name: ' 0) Exit', value: 'exit' },
+      ],
+    });
+
+    logger.blank();
+
+    // A failed action (invalid input, an unreachable API) is reported and the menu goes on
+    try {
+      switch (choice) {
+        case 'how-to':
+          await showHowTo();
+          break;
+        case 'create-resource':
+          await runCreateResource();
+          break;
+        case 'create-role':
+          await runCreateRole();
+          break;
+        case 'create-user-attribute':
+          await runCreateUserAttribute();
+          break;
+        case 'create-user-set':
+          await runCreateUserSet();
+          break;
+        case 'create-resource-set':
+          await runCreateResourceSet();
+          break;
+        case 'verify':
+          await runVerify();
+          break;
+        case 'reset-all':
+          await runResetAll();
+          break;
+        case 'reset-resources':
+          await runResetResources();
+          break;
+        case 'reset-roles':
+          await runResetRoles();
+          break;
+        case 'reset-abac':
+          await runResetAbac();
+          break;
+        case 'reset-selected':
+          await runSelectiveResetInteractive();
+          break;
+        case 'check':
+          await runCheckInteractive();
+          break;
+        case 'matrix':
+          await runMatrixInteractive();
+          break;
+        case 'tenants':
+          await runManageTenants();
+          break;
+        case 'users':
+          await runManageUsers();
+          break;
+        case 'instances':
+          await runManageInstances();
+          break;
+        case 'resource-attributes':
+          await runManageResourceAttributes();
+          break;
+        case 'set-rules':
+          await runManageSetRules();
+          break;
+        case 'switch-profile':
+          await runSwitchProfile();
+          break;
+        case 'exit':
+          logger.info('Exiting...');
+          return;
+      }
+    } catch (error) {
+      // Ctrl+C closes the menu as before
+      if (error.name === 'ExitPromptError') {
+        throw error;
+      }
+      logger.error(error.message);
+    }
+
+    logger.blank();
+
+    continueMenu = await confirm({
+      message: 'Run another operation?',
+      default: true,
+    });
+
+    logger.blank();
+  }
+
+  logger.info('Exiting...');
+}
+
+/**
+ * Run apply from a policy file
+ * @param {object} options - Command options ({ file, prune })
+ */
+async function runApply(options) {
+  logger.info(`Loading policy file: ${options.file}`);
+  const model = loadPolicy(options.file);
+  logger.success('Policy file is valid');
+  logger.blank();
+
+  const plan = computePlan(model, await fetchLiveState());
+  printPlan(plan);
+  logger.blank();
+
+  if (plan.changes.length === 0) {
+    return { plan: plan.summary };
+  }
+
+  if (plan.summary.delete > 0 && !options.prune) {
+    logger.warning(`${plan.summary.delete} deletion(s) will be skipped. Use --prune to remove drift.`);
+    logger.blank();
+  }
+
+  // Pruning roles and user attributes also drops role assignments and user data, so it is confirmed separately
+  const identityDeletes = options.prune
+    ? plan.changes.filter((change) => change.action === 'delete' && ['role', 'userAttribute'].includes(change.type))
+    : [];
+  if (identityDeletes.length > 0) {
+    logger.warning(`--prune also deletes ${identityDeletes.length} role(s) and user attribute(s) not in the policy:`);
+    for (const change of identityDeletes) {
+      logger.log(`  - ${change.type === 'role' ? 'role' : 'user attribute'}: ${change.key}`);
+    }
+    logger.blank();
+    if (!await confirmAction('Delete these roles and user attributes? Users lose the roles and attribute values.', false)) {
+      logger.info('Apply cancelled.');
+      return { plan: plan.summary, cancelled: true };
+    }
+  }
+
+  const confirmed = await confirmAction(`Apply '${options.file}' to ${config.projectId}/${config.envId}?`, !options.prune);
+  if (!confirmed) {
+    logger.info('Apply cancelled.');
+    return { plan: plan.summary, cancelled: true };
+  }
+  logger.blank();
+
+  const summary = await applyPlan(plan, { prune: options.prune });
+  logger.blank();
+
+  if (summary.failed > 0) {
+    logger.warning(`Apply finished with ${summary.failed} failure(s) and ${summary.succeeded} success(es)`);
+    process.exitCode = 1;
+  } else {
+    logger.success(`Apply complete (${summary.succeeded} operation(s), ${summary.skipped} skipped)`);
+  }
+  return { plan: plan.summary, applied: summary };
+}
+
+/**
+ * Run plan: diff a policy file against the live environment
+ * @param {object} options - Command options ({ file })
+ */
+async function runPlan(options) {
+  const model = loadPolicy(options.file);
+  logger.info(`Comparing '${options.file}' with ${config.projectId}/${config.envId}...`);
+
+  const live = await fetchLiveState();
+  const plan = computePlan(model, live);
+
+  if (outputMode.json) {
+    return planToJson(plan);
+  }
+  printPlan(plan);
+}
+
+/**
+ * Run export: write the live environment to a snapshot file
+ * @param {object} options - Command options ({ out, format })
+ */
+async function runExport(options) {
+  const format = snapshotFormat(options.out || '', options.format);
+  const filePath = options.out || defaultSnapshotName(format);
+  await exportSnapshot(filePath, format);
+  return { file: filePath };
+}
+
+/**
+ * Run import: recreate a snapshot in the configured environment
+ * @param {object} options - Command options ({ file, prune })
+ */
+async function runImport(options) {
+  logger.info(`Loading snapshot: ${options.file}`);
+  const { model, tenants, source, exportedAt } = loadSnapshot(options.file);
+
+  if (source) {
+    logger.info(`Snapshot of ${source.project}/${source.environment}, exported ${exportedAt || 'at an unknown time'}`);
+  }
+  logger.info(`Importing into ${config.projectId}/${config.envId}`);
+  logger.blank();
+
+  const plan = computePlan(model, await fetchLiveState());
+  printPlan(plan);
+  logger.log(`Tenants to restore: ${tenants.length}`);
+  logger.blank();
+
+  if (plan.summary.delete > 0 && !options.prune) {
+    logger.warning(`${plan.summary.delete} deletion(s) will be skipped. Use --prune to remove items not in the snapshot.`);
+    logger.blank();
+  }
+
+  const confirmed = await confirmAction(`Import '${options.file}' into ${config.projectId}/${config.envId}?`);
+  if (!confirmed) {
+    logger.info('Import cancelled.');
+    return { plan: plan.summary, cancelled: true };
+  }
+  logger.blank();
+
+  const summary = await applyPlan(plan, { prune: options.prune });
+  logger.blank();
+
+  if (tenants.length > 0) {
+    logger.info('Restoring tenants...');
+    const tenantSummary = await restoreTenants(tenants);
+    summary.succeeded += tenantSummary.succeeded;
+    summary.failed += tenantSummary.failed;
+    logger.blank();
+  }
+
+  if (summary.failed > 0) {
+    logger.warning(`Import finished with ${summary.failed} failure(s) and ${summary.succeeded} success(es)`);
+    process.exitCode = 1;
+  } else {
+    logger.success(`Import complete (${summary.succeeded} operation(s), ${summary.skipped} skipped)`);
+  }
+  return { plan: plan.summary, applied: summary };
+}
+
+/**
+ * Run rollback: recreate what a reset deleted from its automatic backup
+ * @param {string} [backup] - Backup file name, path, or "latest" (lists backups when omitted)
+ */
+async function runRollback(backup) {
+  if (!backup) {
+    const backups = listBackups();
+    if (backups.length === 0) {
+      logger.info(`No backups found in ${BACKUPS_DIR}`);
+      return { backups };
+    }
+
+    logger.info(`Backups in ${BACKUPS_DIR} (newest first):`);
+    for (const b of backups) {
+      logger.log(`  ${b.name}  (${b.project}/${b.environment}, ${b.exportedAt})`);
+    }
+    return { backups };
+  }
+
+  const filePath = resolveBackup(backup);
+  const { source } = loadSnapshot(filePath);
+  if (source && (source.project !== config.projectId || source.environment !== config.envId)) {
+    logger.warning(`Backup was taken from ${source.project}/${source.environment}, not ${config.projectId}/${config.envId}`);
+  }
+
+  return { backup: filePath, ...await runImport({ file: filePath, prune: false }) };
+}
+
+/**
+ * Run promote: copy the policy of one environment to another
+ * @param {object} options - Command options ({ from, to, prune })
+ */
+async function runPromote(options) {
+  if (options.from === options.to) {
+    throw new Error('Source and target environments must be different');
+  }
+
+  logger.info(`Reading ${config.projectId}/${options.from}...`);
+  const source = await withEnvironment(options.from, fetchLiveState);
+
+  logger.info(`Comparing with ${config.projectId}/${options.to}...`);
+  const plan = await withEnvironment(options.to, async () => computePlan(source, await fetchLiveState()));
+  printPlan(plan);
+  logger.blank();
+
+  if (plan.changes.length === 0) {
+    return { plan: plan.summary };
+  }
+
+  if (plan.summary.delete > 0 && !options.prune) {
+    logger.warning(`${plan.summary.delete} deletion(s) will be skipped. Use --prune to remove items not in '${options.from}'.`);
+    logger.blank();
+  }
+
+  const confirmed = await confirmAction(`Promote ${options.from} -> ${options.to}?`);
+  if (!confirmed) {
+    logger.info('Promotion cancelled.');
+    return { plan: plan.summary, cancelled: true };
+  }
+  logger.blank();
+
+  const summary = await withEnvironment(options.to, () => applyPlan(plan, { prune: options.prune }));
+  logger.blank();
+
+  if (summary.failed > 0) {
+    logger.warning(`Promotion finished with ${summary.failed} failure(s) and ${summary.succeeded} success(es)`);
+    process.exitCode = 1;
+  } else {
+    logger.success(`Promoted ${options.from} -> ${options.to} (${summary.succeeded} operation(s), ${summary.skipped} skipped)`);
+  }
+  return { plan: plan.summary, applied: summary };
+}
+
+/**
+ * Throw if a key given on the command line is invalid
+ * @param {string} value - Key to check
+ * @param {string} label - What the key names (e.g. "resource key")
+ */
+function requireValidKey(value, label) {
+  const valid = validateKey(value);
+  if (valid !== true) {
+    throw new Error(`Invalid ${label} '${value}': ${valid}`);
+  }
+}
+
+/**
+ * Split a comma-separated option value into a list
+ */
+function splitList(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a "resource:action" permission given on the command line
+ * @param {string} permission - Permission such as "invoice:read"
+ * @returns {{resource: string, action: string}} Resource and action keys
+ */
+function parsePermission(permission) {
+  const [resource, action] = permission.split(':');
+  if (!resource || !action) {
+    throw new Error(`Invalid permission '${permission}', expected "resource:action"`);
+  }
+  return { resource, action };
+}
+
+/**
+ * Assign permissions to a role and report each one
+ * @param {string} roleKey - Role key
+ * @param {Array<string>} permissions - Permissions such as "invoice:read"
+ * @returns {Promise<number>} Number of permissions that could not be assigned
+ */
+async function grantPermissions(roleKey, permissions) {
+  let failed = 0;
+  for (const permission of permissions) {
+    const { resource, action } = parsePermission(permission);
+    if (await assignPermissionToRole(roleKey, resource, action)) {
+      logger.success(`  Assigned ${resource}:${action} to ${roleKey}`);
+    } else {
+      logger.warning(`  Failed to assign ${resource}:${action} to ${roleKey}`);
+      failed++;
+    }
+  }
+  return failed;
+}
+
+/**
+ * Run "resource create" from command line options
+ * @param {object} options - Command options ({ key, name, description, actions })
+ */
+async function runResourceCreateCommand(options) {
+  requireValidKey(options.key, 'resource key');
+  const actionKeys = splitList(options.actions);
+  actionKeys.forEach((action) => requireValidKey(action, 'action key'));
+
+  const name = options.name || keyToDisplayName(options.key);
+  const resource = {
+    key: options.key,
+    name,
+    description: options.description ?? `${name} resource`,
+    actions: buildActions(actionKeys, name),
+  };
+
+  logger.info('Resource Summary:');
+  logger.log(`  Key: ${resource.key}`);
+  logger.log(`  Name: ${resource.name}`);
+  logger.log(`  Description: ${resource.description}`);
+  logger.log(`  Actions: ${actionKeys.join(', ')}`);
+  logger.blank();
+
+  if (!await confirmAction('Create this resource?', true)) {
+    logger.info('Resource creation cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await createResource(resource)) {
+    process.exitCode = 1;
+  }
+  return { resource };
+}
+
+/**
+ * Run "role create" from command line options
+ * @param {object} options - Command options ({ key, name, description, grant })
+ */
+async function runRoleCreateCommand(options) {
+  requireValidKey(options.key, 'role key');
+  options.grant.forEach(parsePermission);
+
+  const name = options.name || keyToDisplayName(options.key);
+  const role = {
+    key: options.key,
+    name,
+    description: options.description ?? `${name} role`,
+  };
+
+  logger.info('Role Summary:');
+  logger.log(`  Key: ${role.key}`);
+  logger.log(`  Name: ${role.name}`);
+  logger.log(`  Description: ${role.description}`);
+  if (options.grant.length > 0) {
+    logger.log(`  Permissions: ${options.grant.join(', ')}`);
+  }
+  logger.blank();
+
+  if (!await confirmAction('Create this role?', true)) {
+    logger.info('Role creation cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await createRole(role) || await grantPermissions(role.key, options.grant) > 0) {
+    process.exitCode = 1;
+  }
+  return { role: { ...role, permissions: options.grant } };
+}
+
+/**
+ * Run "role grant" from command line arguments
+ * @param {string} roleKey - Role key
+ * @param {Array<string>} permissions - Permissions such as "invoice:read"
+ */
+async function runRoleGrantCommand(roleKey, permissions) {
+  permissions.forEach(parsePermission);
+
+  if (!await confirmAction(`Assign ${permissions.join(', ')} to role '${roleKey}'?`, true)) {
+    logger.info('Permission assignment cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`Assigning permissions to role: ${roleKey}`);
+  if (await grantPermissions(roleKey, permissions) > 0) {
+    process.exitCode = 1;
+  }
+  return { role: roleKey, granted: permissions };
+}
+
+/**
+ * Run "role revoke" from command line arguments
+ * @param {string} roleKey - Role key
+ * @param {Array<string>} permissions - Permissions such as "invoice:read"
+ */
+async function runRoleRevokeCommand(roleKey, permissions) {
+  const parsed = permissions.map(parsePermission);
+
+  if (!await confirmAction(`Remove ${permissions.join(', ')} from role '${roleKey}'?`)) {
+    logger.info('Permission removal cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`Removing permissions from role: ${roleKey}`);
+  for (const { resource, action } of parsed) {
+    if (await removePermissionFromRole(roleKey, resource, action)) {
+      logger.success(`  Removed ${resource}:${action} from ${roleKey}`);
+    } else {
+      logger.warning(`  Failed to remove ${resource}:${action} from ${roleKey}`);
+      process.exitCode = 1;
+    }
+  }
+  return { role: roleKey, revoked: permissions };
+}
+
+/**
+ * Run "attribute list" from command line options
+ * @param {object} options - Command options ({ resource })
+ */
+async function runAttributeListCommand(options) {
+  const attributes = options.resource
+    ? await listResourceAttributes(options.resource)
+    : await listUserAttributes();
+
+  if (options.resource) {
+    printResourceAttributes(options.resource, attributes);
+  } else {
+    logger.info(`User attributes (${attributes.length}):`);
+    for (const attribute of attributes) {
+      logger.log(`  - ${attribute.key} (${attribute.type})${attribute.description ? ` - ${attribute.description}` : ''}`);
+    }
+  }
+  return {
+    attributes: attributes.map(({ key, type, description }) => ({ key, type, description: description || '' })),
+  };
+}
+
+/**
+ * Run "attribute create" from command line options
+ * @param {object} options - Command options ({ key, type, description, resource })
+ */
+async function runAttributeCreateCommand(options) {
+  requireValidKey(options.key, 'attribute key');
+
+  const attribute = {
+    key: options.key,
+    type: options.type,
+    description: options.description ?? (options.resource
+      ? `${keyToDisplayName(options.key)} of the ${options.resource}`
+      : `${keyToDisplayName(options.key)} attribute for ABAC`),
+  };
+
+  logger.info(options.resource ? 'Resource Attribute Summary:' : 'User Attribute Summary:');
+  if (options.resource) {
+    logger.log(`  Resource: ${options.resource}`);
+  }
+  logger.log(`  Key: ${attribute.key}`);
+  logger.log(`  Type: ${attribute.type}`);
+  logger.log(`  Description: ${attribute.description}`);
+  logger.blank();
+
+  if (!await confirmAction(`Create this ${options.resource ? 'resource' : 'user'} attribute?`, true)) {
+    logger.info('Attribute creation cancelled.');
+    return { cancelled: true };
+  }
+
+  const success = options.resource
+    ? await createResourceAttribute(options.resource, attribute)
+    : await createUserAttribute(attribute);
+  if (!success) {
+    process.exitCode = 1;
+  }
+  return { attribute: { ...attribute, ...(options.resource ? { resource: options.resource } : {}) } };
+}
+
+/**
+ * Run "attribute update" from command line options
+ * @param {string} attributeKey - Attribute key
+ * @param {object} options - Command options ({ type, description, resource })
+ */
+async function runAttributeUpdateCommand(attributeKey, options) {
+  const changes = {
+    ...(options.type !== undefined ? { type: options.type } : {}),
+    ...(options.description !== undefined ? { description: options.description } : {}),
+  };
+  if (Object.keys(changes).length === 0) {
+    throw new Error('Nothing to update: pass --type or --description');
+  }
+
+  const label = options.resource ? `${options.resource}.${attributeKey}` : `user.${attributeKey}`;
+  if (!await confirmAction(`Update attribute '${label}'?`, true)) {
+    logger.info('Attribute update cancelled.');
+    return { cancelled: true };
+  }
+
+  const success = options.resource
+    ? await updateResourceAttribute(options.resource, attributeKey, changes)
+    : await updateUserAttribute(attributeKey, changes);
+  if (!success) {
+    process.exitCode = 1;
+  }
+  return { attribute: { key: attributeKey, ...changes, ...(options.resource ? { resource: options.resource } : {}) } };
+}
+
+/**
+ * Run "attribute delete" from command line options
+ * @param {string} attributeKey - Attribute key
+ * @param {object} options - Command options ({ resource })
+ */
+async function runAttributeDeleteCommand(attributeKey, options) {
+  const label = options.resource ? `${options.resource}.${attributeKey}` : `user.${attributeKey}`;
+  const usedBy = options.resource ? 'Resource sets' : 'User sets';
+  if (!await confirmAction(`Delete attribute '${label}'? ${usedBy} filtering on it stop matching.`)) {
+    logger.info('Attribute deletion cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`Deleting attribute: ${label}`);
+  const success = options.resource
+    ? await deleteResourceAttribute(options.resource, attributeKey)
+    : await deleteUserAttribute(attributeKey);
+  if (success) {
+    logger.success(`Attribute '${label}' deleted`);
+  } else {
+    logger.warning(`Failed to delete attribute '${label}'`);
+    process.exitCode = 1;
+  }
+  return { deleted: label };
+}
+
+/**
+ * Run "userset create" from command line options
+ * @param {object} options - Command options ({ key, name, description, condition, any })
+ */
+async function runUserSetCreateCommand(options) {
+  requireValidKey(options.key, 'user set key');
+  if (options.condition.length === 0) {
+    throw new Error('At least one --condition is required');
+  }
+
+  const userSet = {
+    key: options.key,
+    name: options.name || keyToDisplayName(options.key),
+    ...(options.description !== undefined ? { description: options.description } : {}),
+    conditions: buildConditions(options.condition, 'user', options.any, await fetchUserAttributeTypes()),
+  };
+
+  logger.info('User Set Summary:');
+  logger.log(`  Key: ${userSet.key}`);
+  logger.log(`  Name: ${userSet.name}`);
+  logger.log(`  Condition: ${describeConditions(userSet.conditions)}`);
+  logger.blank();
+
+  if (!await confirmAction('Create this user set?', true)) {
+    logger.info('User set creation cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await createUserSet(userSet)) {
+    process.exitCode = 1;
+  }
+  return { userSet };
+}
+
+/**
+ * Run "resourceset create" from command line options
+ * @param {object} options - Command options ({ key, name, description, resource, condition, any })
+ */
+async function runResourceSetCreateCommand(options) {
+  const resources = await listResources();
+  const resource = resources.find((r) => r.key === options.resource && !PROTECTED_RESOURCES.includes(r.key));
+  if (!resource) {
+    throw new Error(`Resource '${options.resource}' not found`);
+  }
+
+  const filtered = options.condition.length > 0;
+  if (filtered && !options.key) {
+    throw new Error('--key is required for a resource set with conditions');
+  }
+
+  const key = options.key || `all-${resource.key}s`;
+  requireValidKey(key, 'resource set key');
+
+  const resourceTypes = Object.fromEntries(
+    Object.entries(resource.attributes || {}).map(([attribute, a]) => [attribute, a.type])
+  );
+  const resourceSet = {
+    key,
+    name: options.name || (filtered ? keyToDisplayName(key) : `All ${resource.name}s`),
+    ...(options.description !== undefined ? { description: options.description } : {}),
+    resource_id: resource.id,
+    conditions: filtered
+      ? buildConditions(options.condition, 'resource', options.any, resourceTypes, await fetchUserAttributeTypes())
+      : { allOf: [] },
+  };
+
+  logger.info('Resource Set Summary:');
+  logger.log(`  Key: ${resourceSet.key}`);
+  logger.log(`  Name: ${resourceSet.name}`);
+  logger.log(`  Resource: ${resource.key}`);
+  logger.log(`  Conditions: ${describeResourceSetConditions(resource.key, resourceSet.conditions)}`);
+  logger.blank();
+
+  if (!await confirmAction('Create this resource set?', true)) {
+    logger.info('Resource set creation cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await createResourceSet(resourceSet)) {
+    process.exitCode = 1;
+  }
+  return {
+    resourceSet: {
+      key: resourceSet.key,
+      name: resourceSet.name,
+      resource: resource.key,
+      conditions: resourceSet.conditions,
+    },
+  };
+}
+
+/**
+ * Run "tenant list"
+ */
+async function runTenantListCommand() {
+  const tenants = await listTenants();
+  printTenants(tenants);
+  return {
+    tenants: tenants.map(({ key, name, description, attributes }) => ({
+      key,
+      name,
+      description: description || '',
+      attributes: attributes || {},
+    })),
+  };
+}
+
+/**
+ * Run "tenant create" from command line options
+ * @param {object} options - Command options ({ key, name, description, attr })
+ */
+async function runTenantCreateCommand(options) {
+  requireValidKey(options.key, 'tenant key');
+
+  const tenant = {
+    key: options.key,
+    name: options.name || keyToDisplayName(options.key),
+    ...(options.description !== undefined ? { description: options.description } : {}),
+    attributes: parseAttributes(options.attr),
+  };
+
+  printTenantSummary(tenant);
+
+  if (!await confirmAction('Create this tenant?', true)) {
+    logger.info('Tenant creation cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await createTenant(tenant)) {
+    process.exitCode = 1;
+  }
+  return { tenant };
+}
+
+/**
+ * Run "tenant update" from command line options
+ *
+ * --attr and --remove-attr change single attributes; the others are kept.
+ * @param {string} tenantKey - Tenant key
+ * @param {object} options - Command options ({ name, description, attr, removeAttr })
+ */
+async function runTenantUpdateCommand(tenantKey, options) {
+  const tenant = await getTenant(tenantKey);
+  if (!tenant) {
+    throw new Error(`Tenant '${tenantKey}' not found`);
+  }
+
+  const changes = {
+    ...(options.name !== undefined ? { name: options.name } : {}),
+    ...(options.description !== undefined ? { description: options.description } : {}),
+  };
+
+  if (options.attr.length > 0 || options.removeAttr.length > 0) {
+    const attributes = { ...(tenant.attributes || {}), ...parseAttributes(options.attr) };
+    for (const key of options.removeAttr) {
+      delete attributes[key];
+    }
+    changes.attributes = attributes;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new Error('Nothing to update: pass --name, --description, --attr or --remove-attr');
+  }
+
+  printTenantSummary({ ...tenant, ...changes });
+
+  if (!await confirmAction('Update this tenant?', true)) {
+    logger.info('Tenant update cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await updateTenant(tenantKey, changes)) {
+    process.exitCode = 1;
+  }
+  return { tenant: { key: tenantKey, ...changes } };
+}
+
+/**
+ * Run "tenant delete"
+ * @param {string} tenantKey - Tenant key
+ */
+async function runTenantDeleteCommand(tenantKey) {
+  if (!await confirmAction(`Delete tenant '${tenantKey}'? Role assignments in this tenant are deleted with it.`)) {
+    logger.info('Tenant deletion cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`Deleting tenant: ${tenantKey}`);
+  if (await deleteTenant(tenantKey)) {
+    logger.success(`Tenant '${tenantKey}' deleted`);
+  } else {
+    logger.warning(`Failed to delete tenant '${tenantKey}'`);
+    process.exitCode = 1;
+  }
+  return { deleted: tenantKey };
+}
+
+/**
+ * Run "user list" from command line options
+ * @param {object} options - Command options ({ tenant })
+ */
+async function runUserListCommand(options) {
+  const [allUsers, assignments] = await Promise.all([
+    listUsers(),
+    listRoleAssignments({ tenant: options.tenant }),
+  ]);
+
+  // With --tenant, only users with a role in the tenant are listed
+  const users = options.tenant
+    ? allUsers.filter((user) => assignments.some((a) => a.user === user.key))
+    : allUsers;
+
+  printUsers(users, assignments);
+  return {
+    users: users.map((user) => ({
+      key: user.key,
+      email: user.email || '',
+      first_name: user.first_name || '',
+      last_name: user.last_name || '',
+      attributes: user.attributes || {},
+      roles: assignments
+        .filter((a) => a.user === user.key)
+        .map(({ role, tenant }) => ({ role, tenant })),
+    })),
+  };
+}
+
+/**
+ * Run "user create" from command line options
+ * @param {object} options - Command options ({ key, email, firstName, lastName, attr, role, tenant })
+ */
+async function runUserCreateCommand(options) {
+  const roles = options.role.map((role) => parseRoleAssignment(role, options.tenant));
+  const user = {
+    key: options.key,
+    ...(options.email !== undefined ? { email: options.email } : {}),
+    ...(options.firstName !== undefined ? { first_name: options.firstName } : {}),
+    ...(options.lastName !== undefined ? { last_name: options.lastName } : {}),
+    attributes: parseAttributes(options.attr, await fetchUserAttributeTypes()),
+  };
+
+  printUserSummary(user, roles);
+
+  if (!await confirmAction('Create this user?', true)) {
+    logger.info('User creation cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await createUser(user) || await changeUserRoles(user.key, roles) > 0) {
+    process.exitCode = 1;
+  }
+  return { user: { ...user, roles } };
+}
+
+/**
+ * Run "user update" from command line options
+ *
+ * --attr and --remove-attr change single attributes; the others are kept.
+ * @param {string} userKey - User key
+ * @param {object} options - Command options ({ email, firstName, lastName, attr, removeAttr })
+ */
+async function runUserUpdateCommand(userKey, options) {
+  const user = await getUser(userKey);
+  if (!user) {
+    throw new Error(`User '${userKey}' not found`);
+  }
+
+  const changes = {
+    ...(options.email !== undefined ? { email: options.email } : {}),
+    ...(options.firstName !== undefined ? { first_name: options.firstName } : {}),
+    ...(options.lastName !== undefined ? { last_name: options.lastName } : {}),
+  };
+
+  if (options.attr.length > 0 || options.removeAttr.length > 0) {
+    const attributes = { ...(user.attributes || {}), ...parseAttributes(options.attr, await fetchUserAttributeTypes()) };
+    for (const key of options.removeAttr) {
+      delete attributes[key];
+    }
+    changes.attributes = attributes;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new Error('Nothing to update: pass --email, --first-name, --last-name, --attr or --remove-attr');
+  }
+
+  printUserSummary({ ...user, ...changes });
+
+  if (!await confirmAction('Update this user?', true)) {
+    logger.info('User update cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await updateUser(userKey, changes)) {
+    process.exitCode = 1;
+  }
+  return { user: { key: userKey, ...changes } };
+}
+
+/**
+ * Run "user delete"
+ * @param {string} userKey - User key
+ */
+async function runUserDeleteCommand(userKey) {
+  if (!await confirmAction(`Delete user '${userKey}' and all their role assignments?`)) {
+    logger.info('User deletion cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`Deleting user: ${userKey}`);
+  if (await deleteUser(userKey)) {
+    logger.success(`User '${userKey}' deleted`);
+  } else {
+    logger.warning(`Failed to delete user '${userKey}'`);
+    process.exitCode = 1;
+  }
+  return { deleted: userKey };
+}
+
+/**
+ * Run "user assign" or "user unassign" from command line arguments
+ * @param {string} userKey - User key
+ * @param {Array<string>} roleArgs - Roles as "role" or "role:tenant"
+ * @param {object} options - Command options ({ tenant })
+ * @param {boolean} [remove] - Remove the roles instead of assigning them
+ */
+async function runUserRolesCommand(userKey, roleArgs, options, remove = false) {
+  const roles = roleArgs.map((role) => parseRoleAssignment(role, options.tenant));
+  const description = roles.map((a) => `${a.role} (${a.tenant})`).join(', ');
+  const message = remove
+    ? `Remove ${description} from user '${userKey}'?`
+    : `Assign ${description} to user '${userKey}'?`;
+
+  if (!await confirmAction(message, !remove)) {
+    logger.info(remove ? 'Role removal cancelled.' : 'Role assignment cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`${remove ? 'Removing roles from' : 'Assigning roles to'} user: ${userKey}`);
+  if (await changeUserRoles(userKey, roles, remove) > 0) {
+    process.exitCode = 1;
+  }
+  return { user: userKey, [remove ? 'unassigned' : 'assigned']: roles };
+}
+
+/**
+ * Run "user import" from command line options
+ * @param {object} options - Command options ({ file })
+ */
+async function runUserImportCommand(options) {
+  logger.info(`Loading users file: ${options.file}`);
+  const users = loadUsersFile(options.file, await fetchUserAttributeTypes());
+  const roleCount = users.reduce((count, { roles }) => count + roles.length, 0);
+
+  logger.info('Import Summary:');
+  logger.log(`  Users: ${users.length}`);
+  logger.log(`  Role assignments: ${roleCount}`);
+  logger.blank();
+
+  if (users.length === 0) {
+    logger.info('No users to import.');
+    return { imported: { created: 0, updated: 0, assigned: 0, failed: 0 } };
+  }
+
+  if (!await confirmAction('Import these users? Existing users are updated.', true)) {
+    logger.info('User import cancelled.');
+    return { cancelled: true };
+  }
+
+  const summary = await importUsers(users);
+  logger.blank();
+  logger.info(`Created ${summary.created}, updated ${summary.updated}, assigned ${summary.assigned} roles, ${summary.failed} failed`);
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+  return { imported: summary };
+}
+
+/**
+ * Run "instance list" from command line options
+ * @param {object} options - Command options ({ resource, tenant })
+ */
+async function runInstanceListCommand(options) {
+  const instances = await listResourceInstances({ resource: options.resource, tenant: options.tenant });
+  printInstances(instances);
+  return {
+    instances: instances.map(({ key, resource, tenant, attributes }) => ({
+      key,
+      resource,
+      tenant,
+      attributes: attributes || {},
+    })),
+  };
+}
+
+/**
+ * Run "instance create" from command line arguments
+ * @param {string} reference - Instance as "resource:key"
+ * @param {object} options - Command options ({ tenant, attr })
+ */
+async function runInstanceCreateCommand(reference, options) {
+  const { resource, key } = parseInstance(reference);
+  const resourceData = await getResource(resource);
+  if (!resourceData) {
+    throw new Error(`Resource '${resource}' not found`);
+  }
+
+  const resourceTypes = Object.fromEntries(
+    Object.entries(resourceData.attributes || {}).map(([attribute, a]) => [attribute, a.type])
+  );
+  const instance = {
+    key,
+    resource,
+    tenant: options.tenant,
+    attributes: parseAttributes(options.attr, resourceTypes),
+  };
+
+  logger.info('Resource Instance Summary:');
+  logger.log(`  Instance: ${resource}:${key}`);
+  logger.log(`  Tenant: ${instance.tenant}`);
+  logger.log(`  Attributes: ${Object.keys(instance.attributes).length > 0 ? JSON.stringify(instance.attributes) : '(none)'}`);
+  logger.blank();
+
+  if (!await confirmAction('Create this resource instance?', true)) {
+    logger.info('Resource instance creation cancelled.');
+    return { cancelled: true };
+  }
+
+  if (!await createResourceInstance(instance)) {
+    process.exitCode = 1;
+  }
+  return { instance };
+}
+
+/**
+ * Run "instance delete" from command line arguments
+ * @param {string} reference - Instance as "resource:key"
+ */
+async function runInstanceDeleteCommand(reference) {
+  const { resource, key } = parseInstance(reference);
+
+  if (!await confirmAction(`Delete resource instance '${resource}:${key}' and its relationship tuples?`)) {
+    logger.info('Resource instance deletion cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`Deleting resource instance: ${resource}:${key}`);
+  if (await deleteResourceInstance(resource, key)) {
+    logger.success(`Resource instance '${resource}:${key}' deleted`);
+  } else {
+    logger.warning(`Failed to delete resource instance '${resource}:${key}'`);
+    process.exitCode = 1;
+  }
+  return { deleted: `${resource}:${key}` };
+}
+
+/**
+ * Run "tuple list" from command line options
+ * @param {object} options - Command options ({ subject, relation, object, tenant })
+ */
+async function runTupleListCommand(options) {
+  const tuples = await listRelationshipTuples(options);
+  printTuples(tuples);
+  return {
+    tuples: tuples.map(({ subject, relation, object, tenant }) => ({ subject, relation, object, tenant })),
+  };
+}
+
+/**
+ * Run "tuple create" or "tuple delete" from command line arguments
+ * @param {string} subject - Subject instance as "resource:key"
+ * @param {string} relation - Relation key (e.g. "parent")
+ * @param {string} object - Object instance as "resource:key"
+ * @param {object} options - Command options ({ tenant })
+ * @param {boolean} [remove] - Delete the tuple instead of creating it
+ */
+async function runTupleCommand(subject, relation, object, options, remove = false) {
+  parseInstance(subject);
+  parseInstance(object);
+  const tuple = {
+    subject,
+    relation,
+    object,
+    ...(options.tenant ? { tenant: options.tenant } : {}),
+  };
+  const description = `${subject} ${relation} ${object}`;
+
+  if (!await confirmAction(`${remove ? 'Delete' : 'Create'} relationship tuple '${description}'?`, !remove)) {
+    logger.info(remove ? 'Relationship tuple deletion cancelled.' : 'Relationship tuple creation cancelled.');
+    return { cancelled: true };
+  }
+
+  const success = remove ? await deleteRelationshipTuple(tuple) : await createRelationshipTuple(tuple);
+  if (success) {
+    logger.success(`Relationship tuple '${description}' ${remove ? 'deleted' : 'created/exists'}`);
+  } else {
+    logger.warning(`Failed to ${remove ? 'delete' : 'create'} relationship tuple '${description}'`);
+    process.exitCode = 1;
+  }
+  return { tuple, [remove ? 'deleted' : 'created']: success };
+}
+
+/**
+ * Run "setrule list" from command line options
+ * @param {object} options - Command options ({ userSet })
+ */
+async function runSetRuleListCommand(options) {
+  const setRules = (await listSetRules()).filter((rule) => !options.userSet || rule.user_set === options.userSet);
+  printSetRules(setRules);
+  return {
+    setRules: setRules.map((rule) => ({
+      userSet: rule.user_set,
+      resourceSet: rule.resource_set,
+      permission: rule.permission,
+    })),
+  };
+}
+
+/**
+ * Run "setrule create" or "setrule delete" from command line arguments
+ * @param {string} userSet - User set key
+ * @param {string} resourceSetKey - Resource set key (e.g. "__autogen_invoice" for all invoices)
+ * @param {Array<string>} actions - Actions on the resource set's resource
+ * @param {boolean} [remove] - Delete the set rules instead of creating them
+ */
+async function runSetRuleCommand(userSet, resourceSetKey, actions, remove = false) {
+  const resourceSet = (await fetchResourceSets()).find((rs) => rs.key === resourceSetKey);
+  if (!resourceSet) {
+    throw new Error(`Resource set '${resourceSetKey}' not found`);
+  }
+
+  // Deleting only needs the permission strings; unknown actions may be left over from a removed action
+  const unknown = actions.filter((a) => !resourceSet.actions.includes(a));
+  if (!remove && unknown.length > 0) {
+    throw new Error(
+      `Unknown action(s) on ${resourceSet.resource}: ${unknown.join(', ')} ` +
+      `(available: ${resourceSet.actions.join(', ') || 'none'})`
+    );
+  }
+
+  const rules = actions.map((a) => ({ userSet, resourceSet: resourceSetKey, permission: `${resourceSet.resource}:${a}` }));
+  const permissions = rules.map((rule) => rule.permission).join(', ');
+
+  if (!await confirmAction(`${remove ? 'Delete' : 'Create'} set rules: ${userSet} -> ${permissions} (${resourceSetKey})?`, !remove)) {
+    logger.info(remove ? 'Set rule deletion cancelled.' : 'Set rule creation cancelled.');
+    return { cancelled: true };
+  }
+
+  logger.info(`${remove ? 'Deleting' : 'Creating'} set rules for user set: ${userSet}`);
+  if (await changeSetRules(rules, remove) > 0) {
+    process.exitCode = 1;
+  }
+  return { [remove ? 'deleted' : 'created']: rules };
+}
+
+/**
+ * Ask for confirmation unless --yes was given
+ * @param {string} message - Confirmation question
+ * @param {boolean} [defaultValue] - Default answer
+ * @returns {Promise<boolean>} True if confirmed
+ */
+async function confirmAction(message, defaultValue = false) {
+  // Nothing is changed in dry-run mode, so there is nothing to confirm
+  if (program.opts().yes || isDryRun()) {
+    return true;
+  }
+  if (outputMode.json) {
+    throw new Error('Confirmation required: pass --yes with --output json');
+  }
+  return confirm({ message, default: defaultValue });
+}
+
+/**
+ * Show header, validate configuration and run a command, exiting on error
+ *
+ * With --output json, the data the command returns is printed as one JSON
+ * document together with the results of its write and delete requests.
+ * @param {Function} command - Async function to run
+ * @param {object} [options] - Run options ({ header: false } to skip the header,
+ *   { requiresApi: false } for commands that work without an API key)
+ */
+async function runCommand(command, { header = true, requiresApi = true } = {}) {
+  try {
+    // Apply connection profile
+    const { profile } = program.opts();
+    if (profile) {
+      applyProfile(profile);
+    }
+
+    // Show header
+    if (header) {
+      showHeader();
+    }
+
+    // Validate configuration
+    if (requiresApi) {
+      validateConfig();
+    }
+
+    const data = await command();
+
+    if (isDryRun() && !outputMode.json) {
+      printDryRunRequests();
+    }
+
+    if (outputMode.json) {
+      const failed = getResults().some((result) => result.outcome === 'failed');
+      printJsonResult(data || {}, !process.exitCode && !failed);
+    }
+  } catch (error) {
+    logger.error(error.message);
+    if (outputMode.json) {
+      printJsonResult({ error: error.message }, false);
+    }
+    process.exit(1);
+  }
 }
 
 /**
  * Main entry point
  */
 async function main() {
-  const program = new Command();
-
   program
     .name('permit-setup')
     .description('Permit.io Edge PDP Setup Script (ABAC with User Sets)')
     .version('1.0.0');
 
   program
+    .addOption(new Option('-p, --profile <name>', `Connection profile from ${PROFILES_PATH}`).env('PERMIT_PROFILE'))
+    .addOption(new Option('--output <format>', 'Output format (json prints one JSON document on stdout)').choices(['text', 'json']).default('text'))
+    .option('-q, --quiet', 'Only print warnings and errors')
+    .option('-y, --yes', 'Skip confirmation prompts (required for resets, apply, import and promote with --output json)')
+    .option('--dry-run', 'Send only read requests and print the write and delete requests that would have been sent')
     .option('-v, --verify', 'Verify current setup only')
     .option('-r, --reset', 'Reset/delete all configuration')
     .option('--reset-resources', 'Reset/delete resources only')
     .option('--reset-roles', 'Reset/delete roles only')
-    .option('--reset-abac', 'Reset/delete ABAC configuration only');
+    .option('--reset-abac', 'Reset/delete ABAC configuration only')
+    .configureHelp({ showGlobalOptions: true })
+    .hook('preAction', (_, actionCommand) => {
+      const { output, quiet, dryRun } = program.opts();
+      setOutputMode({ json: output === 'json' || actionCommand.opts().json === true, quiet });
+      setDryRun(dryRun === true);
+    })
+    .action((options) => runCommand(async () => {
+      // Run based on options or show interactive menu
+      if (options.verify) {
+        return runVerify();
+      } else if (options.reset) {
+        return runResetAll();
+      } else if (options.resetResources) {
+        return runResetResources();
+      } else if (options.resetRoles) {
+        return runResetRoles();
+      } else if (options.resetAbac) {
+        return runResetAbac();
+      }
+      // No options - show interactive menu
+      await showInteractiveMenu();
+    }));
 
-  program.parse();
+  program
+    .command('apply')
+    .description('Apply a policy-as-code file (YAML or JSON) to the environment')
+    .requiredOption('-f, --file <path>', 'Policy file to apply')
+    .option('--prune', 'Delete set rules, condition sets, role permissions, roles, user attributes and resources not in the policy')
+    .action((options) => runCommand(() => runApply(options)));
 
-  const options = program.opts();
+  program
+    .command('plan')
+    .description('Show what applying a policy file would create, update or delete')
+    .requiredOption('-f, --file <path>', 'Policy file to compare')
+    .option('--json', 'Print the plan as JSON (same as --output json)')
+    .action((options) => runCommand(() => runPlan(options), { header: !options.json }));
 
-  try {
-    // Show header
-    showHeader();
+  program
+    .command('export')
+    .description('Export the live environment to a versioned snapshot file')
+    .option('-o, --out <path>', 'Snapshot file (defaults to permit-<project>-<env>-<timestamp>.<format>)')
+    .addOption(new Option('--format <format>', 'Snapshot format (defaults to the file extension)').choices(['json', 'yaml']))
+    .action((options) => runCommand(() => runExport(options)));
 
-    // Validate configuration
-    validateConfig();
-
-    // Determine run mode
-    const hasOption = options.verify || options.reset || options.resetResources || options.resetRoles || options.resetAbac;
-
-    // Run based on options or show interactive menu
-    if (options.verify) {
-      await runVerify();
-    } else if (options.reset) {
-      await runResetAll();
-    } else if (options.resetResources) {
-      await runResetResources();
-    } else if (options.resetRoles) {
-      await runResetRoles();
-    } else if (options.resetAbac) {
-      await runResetAbac();
-    } else {
-      // No options - show interactive menu
-      await showInteractiveMenu();
-    }
-  } catch (error) {
-    logger.error(error.message);
-    process.exit(1);
-  }
+  program
+    .command('import')
+    .description('Recreate a snapshot in the configured project and environment')
+    .requiredOption('-f, --file <path>', 'Snapshot file to import')
+    .option('--prune', 'Delete items that are not in the snapshot')
+    .action((options) => runCommand(() => runImport(options)));
+
+  program
+    .command('reset')
+    .description('Delete selected items, with a preview (a backup is written first)')
+    .option('--type <types>', `Comma-separated types to reset (${PLAN_TYPES.join(', ')})`)
+    .option('--match <glob>', 'Key glob with * and ? wildcards, repeatable (e.g. "test-*")', collect, [])
+    .option('--not-in <path>', 'Reset everything not declared in this policy file')
+    .action((options) => runCommand(() => runSelectiveReset(options)));
+
+  program
+    .command('rollback')
+    .description('Recreate what a reset deleted from its automatic backup (lists backups without an argument)')
+    .argument('[backup]', `Backup file name in ${BACKUPS_DIR}, a path, or "latest"`)
+    .action((backup) => runCommand(() => runRollback(backup), { requiresApi: backup !== undefined }));
+
+  program
+    .command('promote')
+    .description('Promote the policy of one environment to another (e.g. dev -> staging)')
+    .requiredOption('--from <env>', 'Source environment ID')
+    .requiredOption('--to <env>', 'Target environment ID')
+    .option('--prune', 'Delete items in the target that are not in the source')
+    .action((options) => runCommand(() => runPromote(options)));
+
+  program
+    .command('check')
+    .description('Check whether a user may perform an action on a resource (Edge PDP)')
+    .requiredOption('-u, --user <key>', 'User key')
+    .option('-a, --attr <key=value>', 'User attribute, repeatable (e.g. groups=billing,finance)', collect, [])
+    .requiredOption('--action <action>', 'Action key (e.g. read)')
+    .requiredOption('--resource <type[:key]>', 'Resource type and optional key (e.g. invoice:invoice-456)')
+    .option('--resource-attr <key=value>', 'Resource attribute, repeatable', collect, [])
+    .option('-t, --tenant <key>', 'Tenant key', DEFAULT_TENANT)
+    .option('--offline', 'Evaluate locally from a policy or snapshot file instead of the PDP')
+    .option('--policy <path>', 'Policy or snapshot file for --offline')
+    .action((options) => runCommand(() => runCheck(options), { requiresApi: !options.offline }));
+
+  program
+    .command('test')
+    .description('Run a permission test suite against the Edge PDP (exits non-zero on failure)')
+    .requiredOption('-f, --file <path>', 'Test suite file (YAML or JSON)')
+    .option('--offline', 'Evaluate locally from a policy or snapshot file instead of the PDP')
+    .option('--policy <path>', 'Policy or snapshot file for --offline')
+    .action((options) => runCommand(() => runTests(options), { requiresApi: !options.offline }));
+
+  program
+    .command('matrix')
+    .description('Show every role and user set against every resource action')
+    .option('-o, --out <path>', 'Write the matrix to a file instead of the terminal')
+    .addOption(new Option('--format <format>', 'Output format (defaults to the file extension, or table)').choices(MATRIX_FORMATS))
+    .option('--policy <path>', 'Build the matrix from a policy or snapshot file instead of the live environment')
+    .action((options) => runCommand(() => runMatrix(options), {
+      // CSV, Markdown and HTML printed to stdout stay clean for redirection
+      header: !isRawMatrixOutput(options),
+      requiresApi: !options.policy,
+    }));
+
+  const resourceCommand = program
+    .command('resource')
+    .description('Manage resources');
+
+  resourceCommand
+    .command('create')
+    .description('Create a resource')
+    .requiredOption('--key <key>', 'Resource key (e.g. invoice)')
+    .requiredOption('--actions <list>', 'Comma-separated action keys (e.g. read,create,approve)')
+    .option('--name <name>', 'Display name (defaults to the key in title case)')
+    .option('--description <text>', 'Description')
+    .action((options) => runCommand(() => runResourceCreateCommand(options)));
+
+  const roleCommand = program
+    .command('role')
+    .description('Manage roles and their permissions');
+
+  roleCommand
+    .command('create')
+    .description('Create a role')
+    .requiredOption('--key <key>', 'Role key (e.g. auditor)')
+    .option('--name <name>', 'Display name (defaults to the key in title case)')
+    .option('--description <text>', 'Description')
+    .option('--grant <resource:action>', 'Permission to assign, repeatable', collect, [])
+    .action((options) => runCommand(() => runRoleCreateCommand(options)));
+
+  roleCommand
+    .command('grant')
+    .description('Assign permissions to a role')
+    .argument('<role>', 'Role key')
+    .argument('<permissions...>', 'Permissions as resource:action (e.g. invoice:read)')
+    .action((role, permissions) => runCommand(() => runRoleGrantCommand(role, permissions)));
+
+  roleCommand
+    .command('revoke')
+    .description('Remove permissions from a role')
+    .argument('<role>', 'Role key')
+    .argument('<permissions...>', 'Permissions as resource:action (e.g. invoice:read)')
+    .action((role, permissions) => runCommand(() => runRoleRevokeCommand(role, permissions)));
+
+  const attributeCommand = program
+    .command('attribute')
+    .description('Manage user attributes, or resource attributes with --resource (ABAC)');
+
+  attributeCommand
+    .command('list')
+    .description('List user attributes, or the attributes of a resource')
+    .option('--resource <key>', 'Resource key (defaults to user attributes)')
+    .action((options) => runCommand(() => runAttributeListCommand(options)));
+
+  attributeCommand
+    .command('create')
+    .description('Create a user attribute, or a resource attribute with --resource')
+    .requiredOption('--key <key>', 'Attribute key (e.g. department)')
+    .addOption(new Option('--type <type>', 'Attribute type').choices(ATTRIBUTE_TYPES.map((t) => t.value)).makeOptionMandatory())
+    .option('--description <text>', 'Description')
+    .option('--resource <key>', 'Resource key (defaults to user attributes)')
+    .action((options) => runCommand(() => runAttributeCreateCommand(options)));
+
+  attributeCommand
+    .command('update')
+    .description('Update the type or description of an attribute')
+    .argument('<attribute>', 'Attribute key')
+    .addOption(new Option('--type <type>', 'Attribute type').choices(ATTRIBUTE_TYPES.map((t) => t.value)))
+    .option('--description <text>', 'Description')
+    .option('--resource <key>', 'Resource key (defaults to user attributes)')
+    .action((attribute, options) => runCommand(() => runAttributeUpdateCommand(attribute, options)));
+
+  attributeCommand
+    .command('delete')
+    .description('Delete an attribute')
+    .argument('<attribute>', 'Attribute key')
+    .option('--resource <key>', 'Resource key (defaults to user attributes)')
+    .action((attribute, options) => runCommand(() => runAttributeDeleteCommand(attribute, options)));
+
+  const userSetCommand = program
+    .command('userset')
+    .description('Manage user sets (ABAC)');
+
+  userSetCommand
+    .command('create')
+    .description('Create a user set')
+    .requiredOption('--key <key>', 'User set key (e.g. billing)')
+    .option('--condition <expression>', 'Condition, repeatable, at least one (e.g. "user.groups array_contains billing")', collect, [])
+    .option('--any', 'Match any condition instead of all of them')
+    .option('--name <name>', 'Display name (defaults to the key in title case)')
+    .option('--description <text>', 'Description')
+    .action((options) => runCommand(() => runUserSetCreateCommand(options)));
+
+  const resourceSetCommand = program
+    .command('resourceset')
+    .description('Manage resource sets (ABAC)');
+
+  resourceSetCommand
+    .command('create')
+    .description('Create a resource set covering all resources of a type, or those matching conditions')
+    .requiredOption('--resource <key>', 'Resource key (e.g. invoice)')
+    .option('--key <key>', 'Resource set key (defaults to all-<resource>s without conditions)')
+    .option('--condition <expression>', 'Condition, repeatable (e.g. "resource.department equals user.department")', collect, [])
+    .option('--any', 'Match any condition instead of all of them')
+    .option('--name <name>', 'Display name (defaults to "All <Resource>s", or the key in title case with conditions)')
+    .option('--description <text>', 'Description')
+    .action((options) => runCommand(() => runResourceSetCreateCommand(options)));
+
+  const setRuleCommand = program
+    .command('setrule')
+    .description('Manage set rules: which user sets may perform which actions on which resource sets (ABAC)');
+
+  setRuleCommand
+    .command('list')
+    .description('List set rules, grouped by user set')
+    .option('--user-set <key>', 'Only list the set rules of this user set')
+    .action((options) => runCommand(() => runSetRuleListCommand(options)));
+
+  setRuleCommand
+    .command('create')
+    .description('Allow a user set to perform actions on a resource set')
+    .argument('<userSet>', 'User set key')
+    .argument('<resourceSet>', 'Resource set key (__autogen_<resource> for all resources of a type)')
+    .argument('<actions...>', 'Actions on the resource (e.g. read approve)')
+    .action((userSet, resourceSet, actions) => runCommand(() => runSetRuleCommand(userSet, resourceSet, actions)));
+
+  setRuleCommand
+    .command('delete')
+    .description('Remove actions a user set may perform on a resource set')
+    .argument('<userSet>', 'User set key')
+    .argument('<resourceSet>', 'Resource set key')
+    .argument('<actions...>', 'Actions on the resource')
+    .action((userSet, resourceSet, actions) => runCommand(() => runSetRuleCommand(userSet, resourceSet, actions, true)));
+
+  const tenantCommand = program
+    .command('tenant')
+    .description('Manage tenants');
+
+  tenantCommand
+    .command('list')
+    .description('List tenants')
+    .action(() => runCommand(() => runTenantListCommand()));
+
+  tenantCommand
+    .command('create')
+    .description('Create a tenant')
+    .requiredOption('--key <key>', 'Tenant key (e.g. acme-corp)')
+    .option('--name <name>', 'Display name (defaults to the key in title case)')
+    .option('--description <text>', 'Description')
+    .option('-a, --attr <key=value>', 'Tenant attribute, repeatable (e.g. plan=enterprise)', collect, [])
+    .action((options) => runCommand(() => runTenantCreateCommand(options)));
+
+  tenantCommand
+    .command('update')
+    .description('Update a tenant (attributes not named are kept)')
+    .argument('<tenant>', 'Tenant key')
+    .option('--name <name>', 'Display name')
+    .option('--description <text>', 'Description')
+    .option('-a, --attr <key=value>', 'Attribute to set, repeatable', collect, [])
+    .option('--remove-attr <key>', 'Attribute to remove, repeatable', collect, [])
+    .action((tenant, options) => runCommand(() => runTenantUpdateCommand(tenant, options)));
+
+  tenantCommand
+    .command('delete')
+    .description('Delete a tenant and the role assignments in it')
+    .argument('<tenant>', 'Tenant key')
+    .action((tenant) => runCommand(() => runTenantDeleteCommand(tenant)));
+
+  const userCommand = program
+    .command('user')
+    .description('Manage users and their role assignments (for apps that sync users)');
+
+  userCommand
+    .command('list')
+    .description('List users with their roles')
+    .option('-t, --tenant <key>', 'Only list users with a role in this tenant')
+    .action((options) => runCommand(() => runUserListCommand(options)));
+
+  userCommand
+    .command('create')
+    .description('Create a user')
+    .requiredOption('--key <key>', 'User key (e.g. user-123)')
+    .option('--email <email>', 'Email address')
+    .option('--first-name <name>', 'First name')
+    .option('--last-name <name>', 'Last name')
+    .option('-a, --attr <key=value>', 'User attribute, repeatable (e.g. groups=billing,finance)', collect, [])
+    .option('--role <role[:tenant]>', 'Role to assign, repeatable (e.g. admin:acme-corp)', collect, [])
+    .option('-t, --tenant <key>', 'Tenant of roles given without one', DEFAULT_TENANT)
+    .action((options) => runCommand(() => runUserCreateCommand(options)));
+
+  userCommand
+    .command('update')
+    .description('Update a user (attributes not named are kept)')
+    .argument('<user>', 'User key')
+    .option('--email <email>', 'Email address')
+    .option('--first-name <name>', 'First name')
+    .option('--last-name <name>', 'Last name')
+    .option('-a, --attr <key=value>', 'Attribute to set, repeatable', collect, [])
+    .option('--remove-attr <key>', 'Attribute to remove, repeatable', collect, [])
+    .action((user, options) => runCommand(() => runUserUpdateCommand(user, options)));
+
+  userCommand
+    .command('delete')
+    .description('Delete a user and their role assignments')
+    .argument('<user>', 'User key')
+    .action((user) => runCommand(() => runUserDeleteCommand(user)));
+
+  userCommand
+    .command('assign')
+    .description('Assign roles to a user')
+    .argument('<user>', 'User key')
+    .argument('<roles...>', 'Roles as role or role:tenant (e.g. admin:acme-corp)')
+    .option('-t, --tenant <key>', 'Tenant of roles given without one', DEFAULT_TENANT)
+    .action((user, roles, options) => runCommand(() => runUserRolesCommand(user, roles, options)));
+
+  userCommand
+    .command('unassign')
+    .description('Remove roles from a user')
+    .argument('<user>', 'User key')
+    .argument('<roles...>', 'Roles as role or role:tenant (e.g. admin:acme-corp)')
+    .option('-t, --tenant <key>', 'Tenant of roles given without one', DEFAULT_TENANT)
+    .action((user, roles, options) => runCommand(() => runUserRolesCommand(user, roles, options, true)));
+
+  userCommand
+    .command('import')
+    .description('Create or update users and assign their roles from a CSV, JSON or YAML file')
+    .requiredOption('-f, --file <path>', 'Users file')
+    .action((options) => runCommand(() => runUserImportCommand(options)));
+
+  const instanceCommand = program
+    .command('instance')
+    .description('Manage resource instances (ReBAC)');
+
+  instanceCommand
+    .command('list')
+    .description('List resource instances')
+    .option('--resource <key>', 'Only list instances of this resource')
+    .option('-t, --tenant <key>', 'Only list instances in this tenant')
+    .action((options) => runCommand(() => runInstanceListCommand(options)));
+
+  instanceCommand
+    .command('create')
+    .description('Create a resource instance')
+    .argument('<instance>', 'Instance as resource:key (e.g. company:acme)')
+    .option('-t, --tenant <key>', 'Tenant key', DEFAULT_TENANT)
+    .option('-a, --attr <key=value>', 'Instance attribute, repeatable (e.g. region=eu)', collect, [])
+    .action((instance, options) => runCommand(() => runInstanceCreateCommand(instance, options)));
+
+  instanceCommand
+    .command('delete')
+    .description('Delete a resource instance and its relationship tuples')
+    .argument('<instance>', 'Instance as resource:key (e.g. company:acme)')
+    .action((instance) => runCommand(() => runInstanceDeleteCommand(instance)));
+
+  const tupleCommand = program
+    .command('tuple')
+    .description('Manage relationship tuples between resource instances (ReBAC)');
+
+  tupleCommand
+    .command('list')
+    .description('List relationship tuples')
+    .option('--subject <instance>', 'Only list tuples with this subject (resource:key)')
+    .option('--relation <key>', 'Only list tuples with this relation')
+    .option('--object <instance>', 'Only list tuples with this object (resource:key)')
+    .option('-t, --tenant <key>', 'Only list tuples in this tenant')
+    .action((options) => runCommand(() => runTupleListCommand(options)));
+
+  tupleCommand
+    .command('create')
+    .description('Create a relationship tuple (e.g. company:acme parent branch:hq)')
+    .argument('<subject>', 'Subject instance as resource:key')
+    .argument('<relation>', 'Relation defined on the object\'s resource (e.g. parent)')
+    .argument('<object>', 'Object instance as resource:key')
+    .option('-t, --tenant <key>', 'Tenant key (defaults to the tenant of the instances)')
+    .action((subject, relation, object, options) => runCommand(() => runTupleCommand(subject, relation, object, options)));
+
+  tupleCommand
+    .command('delete')
+    .description('Delete a relationship tuple')
+    .argument('<subject>', 'Subject instance as resource:key')
+    .argument('<relation>', 'Relation key')
+    .argument('<object>', 'Object instance as resource:key')
+    .action((subject, relation, object) => runCommand(() => runTupleCommand(subject, relation, object, {}, true)));
+
+  await program.parseAsync();
 }
 
 main();
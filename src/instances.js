@@ -0,0 +1,96 @@
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { permitApi, permitList } from './api.js';
+
+/**
+ * Resource instances and relationship tuples (ReBAC)
+ *
+ * An instance is one specific resource (e.g. company "acme") in a tenant.
+ * Relationship tuples link instances, e.g. "company:acme parent branch:hq".
+ * The relation (here "parent") must be defined on the object's resource.
+ */
+
+/**
+ * List resource instances, optionally of one resource or tenant
+ * @param {object} [filter] - Filter ({ resource, tenant })
+ * @returns {Promise<Array>} Instances ({ key, resource, tenant, attributes })
+ */
+export async function listResourceInstances({ resource, tenant } = {}) {
+  return permitList(`/facts/${config.projectId}/${config.envId}/resource_instances`, { resource, tenant });
+}
+
+/**
+ * Create a resource instance
+ * @param {object} instance - Instance object with key, resource, tenant, attributes
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function createResourceInstance(instance) {
+  logger.info(`Creating resource instance: ${instance.resource}:${instance.key}`);
+  const result = await permitApi(
+    'POST',
+    `/facts/${config.projectId}/${config.envId}/resource_instances`,
+    instance
+  );
+
+  if (result.success) {
+    logger.success(`Resource instance '${instance.resource}:${instance.key}' created/exists`);
+    return true;
+  } else {
+    logger.warning(`Failed to create resource instance '${instance.resource}:${instance.key}'`);
+    return false;
+  }
+}
+
+/**
+ * Delete a resource instance (with its relationship tuples)
+ * @param {string} resource - The resource key
+ * @param {string} instanceKey - The instance key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteResourceInstance(resource, instanceKey) {
+  const result = await permitApi(
+    'DELETE',
+    `/facts/${config.projectId}/${config.envId}/resource_instances/${resource}:${instanceKey}`
+  );
+  return result.success || result.status === 404;
+}
+
+/**
+ * List relationship tuples, optionally filtered
+ * @param {object} [filter] - Filter ({ subject, relation, object, tenant })
+ * @returns {Promise<Array>} Tuples ({ subject, relation, object, tenant })
+ */
+export async function listRelationshipTuples({ subject, relation, object, tenant } = {}) {
+  return permitList(
+    `/facts/${config.projectId}/${config.envId}/relationship_tuples`,
+    { subject, relation, object, tenant }
+  );
+}
+
+/**
+ * Create a relationship tuple
+ * @param {object} tuple - Tuple ({ subject, relation, object, tenant }), instances as "resource:key"
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function createRelationshipTuple(tuple) {
+  const result = await permitApi(
+    'POST',
+    `/facts/${config.projectId}/${config.envId}/relationship_tuples`,
+    tuple
+  );
+  return result.success;
+}
+
+/**
+ * Delete a relationship tuple
+ * @param {object} tuple - Tuple ({ subject, relation, object }), instances as "resource:key"
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteRelationshipTuple({ subject, relation, object }) {
+  const result = await permitApi(
+    'DELETE',
+    `/facts/${config.projectId}/${config.envId}/relationship_tuples`,
+    { subject, relation, object }
+  );
+  return result.success || result.status === 404;
+}
@@ -1,35 +1,41 @@
 import chalk from 'chalk';
+import { printLine, printAlert } from './output.js';
 
 export const logger = {
   info: (message) => {
-    console.log(chalk.blue('[INFO]'), message);
+    printLine(chalk.blue('[INFO]'), message);
   },
 
   success: (message) => {
-    console.log(chalk.green('[SUCCESS]'), message);
+    printLine(chalk.green('[SUCCESS]'), message);
   },
 
   warning: (message) => {
-    console.log(chalk.yellow('[WARNING]'), message);
+    printAlert(chalk.yellow('[WARNING]'), message);
   },
 
   error: (message) => {
-    console.log(chalk.red('[ERROR]'), message);
+    printAlert(chalk.red('[ERROR]'), message);
+  },
+
+  // Detail lines (summaries, lists) that follow the output mode like the other levels
+  log: (...args) => {
+    printLine(...args);
   },
 
   blank: () => {
-    console.log('');
+    printLine('');
   },
 
   header: (title) => {
-    console.log('');
-    console.log('='.repeat(46));
-    console.log(`  ${title}`);
-    console.log('='.repeat(46));
-    console.log('');
+    printLine('');
+    printLine('='.repeat(46));
+    printLine(`  ${title}`);
+    printLine('='.repeat(46));
+    printLine('');
   },
 
   divider: () => {
-    console.log('-'.repeat(46));
+    printLine('-'.repeat(46));
   },
 };
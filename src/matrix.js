@@ -0,0 +1,294 @@
+import { extname } from 'path';
+import chalk from 'chalk';
+import { config } from './config.js';
+import { AUTOGEN_PREFIX } from './presets.js';
+
+/**
+ * Permission matrix: every role and user set against every resource action
+ *
+ * Rows are resource actions, columns are subjects (roles and user sets). A
+ * cell lists how the permission is granted: by a role permission, by a set
+ * rule on all resources of the type, or by a set rule on a filtered resource set.
+ */
+
+export const MATRIX_FORMATS = ['table', 'csv', 'markdown', 'html'];
+
+const LEGEND = [
+  ['R', 'granted by role permission'],
+  ['S', 'granted by set rule on all resources of the type'],
+  ['S*', 'granted by set rule on a filtered resource set'],
+];
+
+/**
+ * Build the permission matrix from a model (live state or policy)
+ * @param {object} model - Model from fetchLiveState() or loadPolicy()
+ * @returns {{subjects: Array, permissions: Array<string>, grants: Map}} Matrix
+ */
+export function buildMatrix(model) {
+  const subjects = [
+    ...(model.roles || []).map((role) => ({ type: 'role', key: role.key, label: `role:${role.key}` })),
+    ...(model.userSets || []).map((userSet) => ({ type: 'userSet', key: userSet.key, label: `userset:${userSet.key}` })),
+  ];
+
+  const permissions = (model.resources || []).flatMap((resource) =>
+    Object.keys(resource.actions || {}).map((action) => `${resource.key}:${action}`)
+  );
+
+  // grants: subject label -> permission -> list of grants ({ code, source })
+  const grants = new Map(subjects.map((subject) => [subject.label, new Map()]));
+  const addGrant = (label, permission, grant) => {
+    const row = grants.get(label);
+    if (!row) return;
+    if (!row.has(permission)) row.set(permission, []);
+    row.get(permission).push(grant);
+  };
+
+  for (const role of model.roles || []) {
+    for (const permission of role.permissions || []) {
+      addGrant(`role:${role.key}`, permission, { code: 'R', source: 'role permission' });
+    }
+  }
+
+  for (const rule of model.setRules || []) {
+    const resource = rule.permission.split(':')[0];
+    const grant = rule.resourceSet === `${AUTOGEN_PREFIX}${resource}`
+      ? { code: 'S', source: 'set rule' }
+      : { code: 'S*', source: `set rule (${rule.resourceSet})` };
+    addGrant(`userset:${rule.userSet}`, rule.permission, grant);
+  }
+
+  return { subjects, permissions, grants };
+}
+
+/**
+ * Convert a matrix to plain JSON (grants keyed by subject, then permission)
+ * @param {object} matrix - Matrix from buildMatrix()
+ * @returns {object} JSON-serializable matrix
+ */
+export function matrixToJson(matrix) {
+  return {
+    subjects: matrix.subjects.map(({ type, key }) => ({ type, key })),
+    permissions: matrix.permissions,
+    grants: Object.fromEntries(
+      matrix.subjects.map((subject) => [
+        subject.label,
+        Object.fromEntries(
+          [...matrix.grants.get(subject.label)].map(([permission, grants]) => [
+            permission,
+            grants.map((grant) => grant.source),
+          ])
+        ),
+      ])
+    ),
+  };
+}
+
+/**
+ * Get the grants of one cell
+ */
+function cellGrants(matrix, subject, permission) {
+  return matrix.grants.get(subject.label).get(permission) || [];
+}
+
+/**
+ * Short code of a cell (e.g. "R", "S", "R+S*")
+ */
+function cellCode(matrix, subject, permission) {
+  const codes = [...new Set(cellGrants(matrix, subject, permission).map((grant) => grant.code))];
+  return codes.join('+');
+}
+
+/**
+ * Long description of a cell (e.g. "role permission; set rule (finance-invoices)")
+ */
+function cellDescription(matrix, subject, permission) {
+  return cellGrants(matrix, subject, permission).map((grant) => grant.source).join('; ');
+}
+
+/**
+ * Render the matrix as a terminal table
+ * @param {object} matrix - Matrix from buildMatrix()
+ * @returns {string} Table text
+ */
+export function renderTable(matrix) {
+  const firstWidth = Math.max('permission'.length, ...matrix.permissions.map((p) => p.length));
+  const widths = matrix.subjects.map((subject) => Math.max(subject.label.length, 3));
+
+  const header = ['permission'.padEnd(firstWidth), ...matrix.subjects.map((s, i) => s.label.padEnd(widths[i]))];
+  const lines = [chalk.bold(header.join(' | '))];
+  lines.push(['-'.repeat(firstWidth), ...widths.map((w) => '-'.repeat(w))].join('-+-'));
+
+  let lastResource = null;
+  for (const permission of matrix.permissions) {
+    const resource = permission.split(':')[0];
+    if (lastResource !== null && resource !== lastResource) {
+      lines.push(['-'.repeat(firstWidth), ...widths.map((w) => '-'.repeat(w))].join('-+-'));
+    }
+    lastResource = resource;
+
+    const cells = matrix.subjects.map((subject, i) => {
+      const code = cellCode(matrix, subject, permission);
+      const padded = (code || '.').padEnd(widths[i]);
+      return code ? chalk.green(padded) : chalk.gray(padded);
+    });
+    lines.push([permission.padEnd(firstWidth), ...cells].join(' | '));
+  }
+
+  lines.push('');
+  for (const [code, meaning] of LEGEND) {
+    lines.push(`${code.padEnd(3)} ${meaning}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Quote a CSV field
+ */
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Render the matrix as CSV (one column per subject, cells describe the grants)
+ * @param {object} matrix - Matrix from buildMatrix()
+ * @returns {string} CSV text
+ */
+export function renderCsv(matrix) {
+  const rows = [['resource', 'action', ...matrix.subjects.map((s) => s.label)]];
+  for (const permission of matrix.permissions) {
+    const [resource, action] = permission.split(':');
+    rows.push([
+      resource,
+      action,
+      ...matrix.subjects.map((subject) => cellDescription(matrix, subject, permission)),
+    ]);
+  }
+  return `${rows.map((row) => row.map(csvField).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Render the matrix as a Markdown table
+ * @param {object} matrix - Matrix from buildMatrix()
+ * @returns {string} Markdown text
+ */
+export function renderMarkdown(matrix) {
+  const lines = [
+    `| permission | ${matrix.subjects.map((s) => `\`${s.label}\``).join(' | ')} |`,
+    `| --- | ${matrix.subjects.map(() => ':---:').join(' | ')} |`,
+  ];
+  for (const permission of matrix.permissions) {
+    const cells = matrix.subjects.map((subject) => {
+      const code = cellCode(matrix, subject, permission);
+      return code ? `\`${code}\`` : ' ';
+    });
+    lines.push(`| \`${permission}\` | ${cells.join(' | ')} |`);
+  }
+  lines.push('');
+  for (const [code, meaning] of LEGEND) {
+    lines.push(`- \`${code}\`: ${meaning}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the matrix as a standalone HTML page
+ * @param {object} matrix - Matrix from buildMatrix()
+ * @param {string} title - Page title
+ * @returns {string} HTML text
+ */
+export function renderHtml(matrix, title) {
+  const headerCells = matrix.subjects.map((s) => `<th>${escapeHtml(s.label)}</th>`).join('');
+  const rows = matrix.permissions.map((permission) => {
+    const cells = matrix.subjects.map((subject) => {
+      const code = cellCode(matrix, subject, permission);
+      if (!code) return '<td></td>';
+      const description = escapeHtml(cellDescription(matrix, subject, permission));
+      return `<td class="granted" title="${description}">${escapeHtml(code)}</td>`;
+    }).join('');
+    return `      <tr><th>${escapeHtml(permission)}</th>${cells}</tr>`;
+  });
+  const legend = LEGEND.map(([code, meaning]) => `      <li><b>${code}</b>: ${meaning}</li>`);
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: sans-serif; }
+      table { border-collapse: collapse; }
+      th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: center; }
+      tbody th { text-align: left; font-family: monospace; }
+      td.granted { background: #d4f7d4; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    <table>
+      <thead><tr><th>permission</th>${headerCells}</tr></thead>
+      <tbody>
+${rows.join('\n')}
+      </tbody>
+    </table>
+    <ul>
+${legend.join('\n')}
+    </ul>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Pick the matrix format from an explicit format or the output file extension
+ * @param {string} [filePath] - Output file path
+ * @param {string} [format] - Explicit format
+ * @returns {string} One of MATRIX_FORMATS
+ */
+export function matrixFormat(filePath, format) {
+  if (format) {
+    return format;
+  }
+  const formats = { '.csv': 'csv', '.md': 'markdown', '.html': 'html', '.htm': 'html' };
+  return formats[extname(filePath || '').toLowerCase()] || 'table';
+}
+
+/**
+ * Default matrix file name for the configured project and environment
+ * @param {string} format - 'csv', 'markdown' or 'html'
+ * @returns {string} File name such as permit-matrix-horaion-dev.md
+ */
+export function defaultMatrixName(format) {
+  const extensions = { csv: 'csv', markdown: 'md', html: 'html' };
+  return `permit-matrix-${config.projectId}-${config.envId}.${extensions[format]}`;
+}
+
+/**
+ * Render the matrix in the given format
+ * @param {object} matrix - Matrix from buildMatrix()
+ * @param {string} format - One of MATRIX_FORMATS
+ * @param {string} title - Title (used by HTML)
+ * @returns {string} Rendered matrix
+ */
+export function renderMatrix(matrix, format, title) {
+  switch (format) {
+    case 'csv':
+      return renderCsv(matrix);
+    case 'markdown':
+      return renderMarkdown(matrix);
+    case 'html':
+      return renderHtml(matrix, title);
+    default:
+      return renderTable(matrix);
+  }
+}
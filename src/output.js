@@ -0,0 +1,77 @@
+/**
+ * Output mode for scripting (--output json and --quiet)
+ *
+ * In JSON mode every command prints a single JSON document on stdout:
+ *
+ *   { "ok": true, ...command data, "results": [ ...changes sent to Permit.io ] }
+ *
+ * and all prose goes to stderr. In quiet mode only warnings and errors are
+ * printed. Prose is printed through the logger (logger.log for detail lines);
+ * console.log is left alone and always writes to stdout.
+ */
+
+export const outputMode = {
+  json: false,
+  quiet: false,
+};
+
+// Write and delete requests sent through permitApi(), in order
+const results = [];
+
+const writeStdout = console.log.bind(console);
+const writeStderr = console.error.bind(console);
+
+/**
+ * Print a prose line according to the output mode
+ * @param {...*} args - console.log arguments
+ */
+export function printLine(...args) {
+  if (outputMode.quiet) {
+    return;
+  }
+  (outputMode.json ? writeStderr : writeStdout)(...args);
+}
+
+/**
+ * Print a warning or error line according to the output mode (never silenced)
+ * @param {...*} args - console.log arguments
+ */
+export function printAlert(...args) {
+  (outputMode.json ? writeStderr : writeStdout)(...args);
+}
+
+/**
+ * Set the output mode for this run
+ * @param {object} mode - Output mode
+ * @param {boolean} [mode.json] - Print a JSON document instead of prose
+ * @param {boolean} [mode.quiet] - Only print warnings and errors
+ */
+export function setOutputMode({ json = false, quiet = false }) {
+  outputMode.json = json;
+  outputMode.quiet = quiet;
+}
+
+/**
+ * Record the outcome of a write or delete request
+ * @param {object} result - Result ({ method, endpoint, key, outcome, status, error? })
+ */
+export function recordResult(result) {
+  results.push(result);
+}
+
+/**
+ * Results recorded so far
+ * @returns {Array<object>} Recorded results
+ */
+export function getResults() {
+  return [...results];
+}
+
+/**
+ * Print the JSON document of a command
+ * @param {object} data - Command data (merged into the document)
+ * @param {boolean} ok - Whether the command succeeded
+ */
+export function printJsonResult(data, ok) {
+  writeStdout(JSON.stringify({ ok, ...data, results: getResults() }, null, 2));
+}
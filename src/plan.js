@@ -0,0 +1,353 @@
+import chalk from 'chalk';
+import { logger } from './logger.js';
+import { config } from './config.js';
+import { listResources } from './resources.js';
+import { listRoles } from './roles.js';
+import { listConditionSets, listSetRules, listUserAttributes } from './abac.js';
+import {
+  PROTECTED_RESOURCES,
+  PROTECTED_ROLES,
+  BUILT_IN_USER_ATTRIBUTES,
+  CONDITION_SET_TYPES,
+  AUTOGEN_PREFIX,
+} from './presets.js';
+
+/**
+ * Plan/diff between a desired model (see policy.js) and the live environment
+ */
+
+/**
+ * Change types in the order creates and updates are applied
+ */
+export const PLAN_TYPES = [
+  'resource',
+  'userAttribute',
+  'role',
+  'rolePermission',
+  'userSet',
+  'resourceSet',
+  'setRule',
+];
+
+const TYPE_LABELS = {
+  resource: 'Resources',
+  userAttribute: 'User Attributes',
+  role: 'Roles',
+  rolePermission: 'Role Permissions',
+  userSet: 'User Sets',
+  resourceSet: 'Resource Sets',
+  setRule: 'Set Rules',
+};
+
+/**
+ * Serialize a value with sorted object keys so equal values compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON string
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Key of a set rule, unique within an environment
+ * @param {object} rule - Set rule ({ userSet, resourceSet, permission })
+ * @returns {string} Set rule key
+ */
+export function setRuleKey(rule) {
+  return `${rule.userSet} -> ${rule.permission} (${rule.resourceSet})`;
+}
+
+/**
+ * Key of a role permission, unique within an environment
+ * @param {string} roleKey - Role key
+ * @param {string} permission - Permission string (resource:action)
+ * @returns {string} Role permission key
+ */
+export function rolePermissionKey(roleKey, permission) {
+  return `${roleKey} -> ${permission}`;
+}
+
+/**
+ * Fetch the live state of the configured environment in the desired model shape
+ *
+ * Protected resources, built-in user attributes and auto-generated condition
+ * sets are left out because they cannot be declared in policy files.
+ *
+ * @returns {Promise<object>} Live model
+ */
+export async function fetchLiveState() {
+  const [resources, roles, userAttributes, conditionSets, setRules] = await Promise.all([
+    listResources(),
+    listRoles(),
+    listUserAttributes(),
+    listConditionSets(),
+    listSetRules(),
+  ]);
+
+  const resourceKeysById = new Map(resources.map((r) => [r.id, r.key]));
+  const isManagedSet = (cs) => !cs.key.startsWith(AUTOGEN_PREFIX);
+
+  return {
+    resources: resources
+      .filter((r) => !PROTECTED_RESOURCES.includes(r.key))
+      .map((r) => ({
+        key: r.key,
+        name: r.name,
+        description: r.description || '',
+        actions: Object.fromEntries(
+          Object.entries(r.actions || {}).map(([key, action]) => [
+            key,
+            { name: action.name, description: action.description || '' },
+          ])
+        ),
+        attributes: Object.fromEntries(
+          Object.entries(r.attributes || {}).map(([key, attribute]) => [
+            key,
+            { type: attribute.type, description: attribute.description || '' },
+          ])
+        ),
+      })),
+    userAttributes: userAttributes
+      .filter((a) => !BUILT_IN_USER_ATTRIBUTES.includes(a.key))
+      .map((a) => ({ key: a.key, type: a.type, description: a.description || '' })),
+    roles: roles.map((r) => ({
+      key: r.key,
+      name: r.name,
+      description: r.description || '',
+      permissions: r.permissions || [],
+    })),
+    userSets: conditionSets
+      .filter((cs) => cs.type === CONDITION_SET_TYPES.USER_SET && isManagedSet(cs))
+      .map((cs) => ({
+        key: cs.key,
+        name: cs.name,
+        description: cs.description || '',
+        conditions: cs.conditions,
+      })),
+    resourceSets: conditionSets
+      .filter((cs) => cs.type === CONDITION_SET_TYPES.RESOURCE_SET && isManagedSet(cs))
+      .map((cs) => ({
+        key: cs.key,
+        name: cs.name,
+        description: cs.description || '',
+        resource: cs.resource?.key || resourceKeysById.get(cs.resource_id) || cs.resource_id,
+        conditions: cs.conditions,
+      })),
+    setRules: setRules.map((sr) => ({
+      userSet: sr.user_set,
+      resourceSet: sr.resource_set,
+      permission: sr.permission,
+    })),
+  };
+}
+
+/**
+ * Compare fields of a desired and a current item
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields
+ */
+function diffFields(desired, current, fields) {
+  return fields
+    .filter((field) => stableStringify(desired[field]) !== stableStringify(current[field]))
+    .map((field) => ({ field, from: current[field], to: desired[field] }));
+}
+
+/**
+ * Diff a keyed section of the model
+ * @param {Function} isProtected - Returns true for current items that must never be deleted
+ */
+function diffSection(changes, type, desiredItems, currentItems, fields, isProtected = () => false) {
+  const currentByKey = new Map(currentItems.map((item) => [item.key, item]));
+  const desiredKeys = new Set(desiredItems.map((item) => item.key));
+
+  for (const desired of desiredItems) {
+    const current = currentByKey.get(desired.key);
+    if (!current) {
+      changes.push({ action: 'create', type, key: desired.key, desired });
+      continue;
+    }
+    const fieldChanges = diffFields(desired, current, fields);
+    if (fieldChanges.length > 0) {
+      changes.push({ action: 'update', type, key: desired.key, desired, current, fields: fieldChanges });
+    }
+  }
+
+  for (const current of currentItems) {
+    if (!desiredKeys.has(current.key) && !isProtected(current)) {
+      changes.push({ action: 'delete', type, key: current.key, current });
+    }
+  }
+}
+
+/**
+ * Compute the changes needed to move the live state to the desired model
+ *
+ * Only sections present in the desired model are compared, so a policy file
+ * that leaves out a section never plans changes for it.
+ *
+ * @param {object} desired - Desired model from loadPolicy()
+ * @param {object} live - Live model from fetchLiveState()
+ * @returns {{changes: Array, summary: {create: number, update: number, delete: number}}} Plan
+ */
+export function computePlan(desired, live) {
+  const changes = [];
+
+  if (desired.resources) {
+    // Compare action keys only, action display names are cosmetic
+    const withActionKeys = (r) => ({ ...r, actions: Object.keys(r.actions).sort() });
+    // Attributes are only compared for resources that declare them
+    const liveAttributes = new Map(live.resources.map((r) => [r.key, r.attributes]));
+    const withAttributes = (r) => r.attributes ? r : { ...r, attributes: liveAttributes.get(r.key) ?? {} };
+    diffSection(
+      changes,
+      'resource',
+      desired.resources.map(withAttributes).map(withActionKeys),
+      live.resources.map(withActionKeys),
+      ['name', 'description', 'actions', 'attributes']
+    );
+    // Keep full action definitions on the change so apply can use them
+    for (const change of changes) {
+      if (change.type === 'resource' && change.desired) {
+        change.desired = desired.resources.find((r) => r.key === change.key);
+      }
+    }
+  }
+
+  if (desired.userAttributes) {
+    diffSection(changes, 'userAttribute', desired.userAttributes, live.userAttributes, ['type', 'description']);
+  }
+
+  if (desired.roles) {
+    const withoutPermissions = ({ permissions, ...role }) => role;
+    diffSection(
+      changes,
+      'role',
+      desired.roles.map(withoutPermissions),
+      live.roles.map(withoutPermissions),
+      ['name', 'description'],
+      (role) => PROTECTED_ROLES.includes(role.key)
+    );
+
+    const toPermissions = (roles) => roles.flatMap((role) =>
+      role.permissions.map((permission) => ({
+        key: rolePermissionKey(role.key, permission),
+        role: role.key,
+        permission,
+      }))
+    );
+    // Permissions of protected roles are only managed when the role is declared
+    const declaredRoles = new Set(desired.roles.map((role) => role.key));
+    diffSection(
+      changes,
+      'rolePermission',
+      toPermissions(desired.roles),
+      toPermissions(live.roles),
+      [],
+      (permission) => PROTECTED_ROLES.includes(permission.role) && !declaredRoles.has(permission.role)
+    );
+  }
+
+  if (desired.userSets) {
+    diffSection(changes, 'userSet', desired.userSets, live.userSets, ['name', 'description', 'conditions']);
+  }
+
+  if (desired.resourceSets) {
+    diffSection(
+      changes,
+      'resourceSet',
+      desired.resourceSets,
+      live.resourceSets,
+      ['name', 'description', 'resource', 'conditions']
+    );
+  }
+
+  if (desired.setRules) {
+    const withKey = (rule) => ({ key: setRuleKey(rule), ...rule });
+    diffSection(changes, 'setRule', desired.setRules.map(withKey), live.setRules.map(withKey), []);
+  }
+
+  // Creates and updates in dependency order, deletes in reverse order
+  const order = (change) => change.action === 'delete'
+    ? PLAN_TYPES.length * 2 - PLAN_TYPES.indexOf(change.type)
+    : PLAN_TYPES.indexOf(change.type);
+  changes.sort((a, b) => order(a) - order(b));
+
+  const summary = { create: 0, update: 0, delete: 0 };
+  for (const change of changes) {
+    summary[change.action]++;
+  }
+
+  return { changes, summary };
+}
+
+/**
+ * Build the machine-readable form of a plan
+ * @param {object} plan - Plan from computePlan()
+ * @returns {object} JSON-serializable plan
+ */
+export function planToJson(plan) {
+  return {
+    project: config.projectId,
+    environment: config.envId,
+    summary: plan.summary,
+    changes: plan.changes.map(({ action, type, key, fields, desired, current }) => ({
+      action,
+      type,
+      key,
+      ...(fields ? { fields } : {}),
+      ...(desired ? { desired } : {}),
+      ...(current ? { current } : {}),
+    })),
+  };
+}
+
+/**
+ * Format a value for plan output
+ */
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Print a plan like a Terraform plan
+ * @param {object} plan - Plan from computePlan()
+ */
+export function printPlan(plan) {
+  if (plan.changes.length === 0) {
+    logger.log(chalk.green('No changes. The environment matches the desired policy.'));
+    return;
+  }
+
+  const symbols = {
+    create: chalk.green('+'),
+    update: chalk.yellow('~'),
+    delete: chalk.red('-'),
+  };
+
+  let lastType = null;
+  for (const change of plan.changes) {
+    if (change.type !== lastType) {
+      logger.log('');
+      logger.log(chalk.bold(TYPE_LABELS[change.type]));
+      lastType = change.type;
+    }
+
+    logger.log(`  ${symbols[change.action]} ${change.key}`);
+    for (const field of change.fields || []) {
+      logger.log(`      ${field.field}: ${formatValue(field.from)} -> ${formatValue(field.to)}`);
+    }
+  }
+
+  const { create, update, delete: remove } = plan.summary;
+  logger.log('');
+  logger.log(chalk.bold(`Plan: ${create} to create, ${update} to update, ${remove} to delete.`));
+}
@@ -0,0 +1,499 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import YAML from 'yaml';
+import {
+  ATTRIBUTE_TYPES,
+  POLICY_VERSION,
+  POLICY_SECTIONS,
+  SNAPSHOT_FIELDS,
+  AUTOGEN_PREFIX,
+  validateKey,
+  keyToDisplayName,
+  capitalize,
+} from './presets.js';
+
+/**
+ * Policy-as-code file support
+ *
+ * A policy file describes the whole authorization model of a project in YAML or JSON:
+ *
+ *   version: 1
+ *   resources:      [{ key, name, description, actions: [read, ...], attributes: { key: { type } } }]
+ *   roles:          [{ key, name, description, permissions: ["resource:action"] }]
+ *   userAttributes: [{ key, type, description }]
+ *   userSets:       [{ key, name, description, conditions }]
+ *   resourceSets:   [{ key, name, description, resource, conditions }]
+ *   setRules:       [{ userSet, resource | resourceSet, actions: [read, ...] }]
+ *
+ * Every section is optional. A section that is left out is not managed by the file.
+ * Snapshots written by `export` use the same format plus the SNAPSHOT_FIELDS.
+ */
+
+/**
+ * Build a Permit.io actions object from a list of action keys
+ * @param {Array<string>|object} actions - Action keys, or an actions object keyed by action
+ * @param {string} resourceName - Resource display name used in descriptions
+ * @returns {object} Actions object keyed by action
+ */
+export function buildActions(actions, resourceName) {
+  const result = {};
+
+  if (Array.isArray(actions)) {
+    for (const action of actions) {
+      const actionName = capitalize(action);
+      result[action] = {
+        name: actionName,
+        description: `${actionName} ${resourceName.toLowerCase()}`,
+      };
+    }
+    return result;
+  }
+
+  for (const [action, definition] of Object.entries(actions || {})) {
+    const actionName = definition?.name || capitalize(action);
+    result[action] = {
+      name: actionName,
+      description: definition?.description ?? `${actionName} ${resourceName.toLowerCase()}`,
+    };
+  }
+  return result;
+}
+
+/**
+ * Resolve the resource key a resource set applies to
+ * @param {string} resourceSetKey - Resource set key
+ * @param {Array} resourceSets - Declared resource sets ({ key, resource })
+ * @returns {string|null} Resource key or null if unknown
+ */
+export function resolveResourceSetResource(resourceSetKey, resourceSets = []) {
+  if (resourceSetKey.startsWith(AUTOGEN_PREFIX)) {
+    return resourceSetKey.slice(AUTOGEN_PREFIX.length);
+  }
+  const resourceSet = resourceSets.find((rs) => rs.key === resourceSetKey);
+  return resourceSet ? resourceSet.resource : null;
+}
+
+/**
+ * Check a key field and push an error if it is invalid
+ *
+ * Snapshot keys only have to be present: they are whatever the API accepted,
+ * which can be looser than the key format of policy files (e.g. "Invoice").
+ */
+function checkKey(errors, path, value, snapshot = false) {
+  if (typeof value !== 'string' || (snapshot && !value.trim())) {
+    errors.push(`${path}: key is required`);
+    return;
+  }
+  if (snapshot) {
+    return;
+  }
+  const valid = validateKey(value);
+  if (valid !== true) {
+    errors.push(`${path}: ${valid}`);
+  }
+}
+
+/**
+ * Check an attribute type (any type the API returned, for snapshots)
+ */
+function checkAttributeType(errors, path, type, snapshot) {
+  if (snapshot) {
+    if (typeof type !== 'string' || !type) {
+      errors.push(`${path}: type is required`);
+    }
+    return;
+  }
+  const attributeTypes = ATTRIBUTE_TYPES.map((t) => t.value);
+  if (!attributeTypes.includes(type)) {
+    errors.push(`${path}: must be one of ${attributeTypes.join(', ')}`);
+  }
+}
+
+/**
+ * Check an optional string field and push an error if it has the wrong type
+ */
+function checkOptionalString(errors, path, value) {
+  if (value !== undefined && typeof value !== 'string') {
+    errors.push(`${path}: must be a string`);
+  }
+}
+
+/**
+ * Check a conditions object ({ allOf: [...] } or { anyOf: [...] })
+ */
+function checkConditions(errors, path, conditions) {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    errors.push(`${path}: must be an object with allOf or anyOf`);
+    return;
+  }
+  const groups = Object.keys(conditions);
+  if (groups.length !== 1 || !['allOf', 'anyOf'].includes(groups[0])) {
+    errors.push(`${path}: must have exactly one of allOf or anyOf`);
+    return;
+  }
+  if (!Array.isArray(conditions[groups[0]])) {
+    errors.push(`${path}.${groups[0]}: must be an array`);
+  }
+}
+
+/**
+ * Check that keys in a section are unique
+ */
+function checkUnique(errors, section, items) {
+  const seen = new Set();
+  for (const item of items) {
+    if (typeof item?.key !== 'string') continue;
+    if (seen.has(item.key)) {
+      errors.push(`${section}: duplicate key '${item.key}'`);
+    }
+    seen.add(item.key);
+  }
+}
+
+/**
+ * Check an attributes object ({ key: { type, description } })
+ */
+function checkAttributes(errors, path, attributes, snapshot) {
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    errors.push(`${path}: must be an object keyed by attribute`);
+    return;
+  }
+  for (const [key, attribute] of Object.entries(attributes)) {
+    checkKey(errors, `${path}.${key}`, key, snapshot);
+    checkAttributeType(errors, `${path}.${key}.type`, attribute?.type, snapshot);
+    checkOptionalString(errors, `${path}.${key}.description`, attribute?.description);
+  }
+}
+
+/**
+ * Get the action keys declared on a policy resource
+ */
+function resourceActionKeys(resource) {
+  if (Array.isArray(resource.actions)) return resource.actions;
+  return Object.keys(resource.actions || {});
+}
+
+/**
+ * Validate a parsed policy document against the policy schema
+ *
+ * With { snapshot: true } the document is a snapshot of a live environment
+ * (an export or a reset backup): keys, attribute types and action lists are
+ * accepted as the API returned them, so everything exported can be restored.
+ * @param {object} policy - Parsed policy document
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.snapshot] - Accept what the API accepts instead of the policy file conventions
+ * @returns {Array<string>} List of validation errors (empty if valid)
+ */
+export function validatePolicy(policy, { snapshot = false } = {}) {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['Policy must be an object'];
+  }
+
+  if (policy.version !== undefined && policy.version !== POLICY_VERSION) {
+    errors.push(`version: unsupported policy version '${policy.version}' (expected ${POLICY_VERSION})`);
+  }
+
+  for (const field of Object.keys(policy)) {
+    if (field !== 'version' && !POLICY_SECTIONS.includes(field) && !SNAPSHOT_FIELDS.includes(field)) {
+      errors.push(`${field}: unknown section`);
+    }
+  }
+
+  for (const section of POLICY_SECTIONS) {
+    if (policy[section] !== undefined && !Array.isArray(policy[section])) {
+      errors.push(`${section}: must be a list`);
+      continue;
+    }
+    (policy[section] || []).forEach((item, i) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push(`${section}[${i}]: must be an object`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const resources = policy.resources || [];
+  const resourceActions = new Map(resources.map((r) => [r.key, resourceActionKeys(r)]));
+  const managesResources = policy.resources !== undefined;
+
+  // Resources
+  resources.forEach((resource, i) => {
+    const path = `resources[${i}]`;
+    checkKey(errors, `${path}.key`, resource.key, snapshot);
+    checkOptionalString(errors, `${path}.name`, resource.name);
+    checkOptionalString(errors, `${path}.description`, resource.description);
+
+    const actions = resourceActionKeys(resource);
+    if (!resource.actions || typeof resource.actions !== 'object' || (!snapshot && actions.length === 0)) {
+      errors.push(`${path}.actions: at least one action is required`);
+    }
+    actions.forEach((action, j) => checkKey(errors, `${path}.actions[${j}]`, action, snapshot));
+
+    if (resource.attributes !== undefined) {
+      checkAttributes(errors, `${path}.attributes`, resource.attributes, snapshot);
+    }
+  });
+  checkUnique(errors, 'resources', resources);
+
+  // Checks a "resource:action" permission against the declared resources
+  const checkPermission = (path, resourceKey, action) => {
+    if (!managesResources) return;
+    if (!resourceActions.has(resourceKey)) {
+      errors.push(`${path}: unknown resource '${resourceKey}'`);
+    } else if (!resourceActions.get(resourceKey).includes(action)) {
+      errors.push(`${path}: resource '${resourceKey}' has no action '${action}'`);
+    }
+  };
+
+  // User attributes
+  const userAttributes = policy.userAttributes || [];
+  userAttributes.forEach((attribute, i) => {
+    const path = `userAttributes[${i}]`;
+    checkKey(errors, `${path}.key`, attribute.key, snapshot);
+    checkAttributeType(errors, `${path}.type`, attribute.type, snapshot);
+    checkOptionalString(errors, `${path}.description`, attribute.description);
+  });
+  checkUnique(errors, 'userAttributes', userAttributes);
+
+  // Roles
+  const roles = policy.roles || [];
+  roles.forEach((role, i) => {
+    const path = `roles[${i}]`;
+    checkKey(errors, `${path}.key`, role.key, snapshot);
+    checkOptionalString(errors, `${path}.name`, role.name);
+    checkOptionalString(errors, `${path}.description`, role.description);
+
+    if (role.permissions !== undefined && !Array.isArray(role.permissions)) {
+      errors.push(`${path}.permissions: must be a list`);
+      return;
+    }
+    (role.permissions || []).forEach((permission, j) => {
+      const [resourceKey, action, ...rest] = String(permission).split(':');
+      if (!resourceKey || !action || rest.length > 0) {
+        errors.push(`${path}.permissions[${j}]: must be in the form "resource:action"`);
+        return;
+      }
+      checkPermission(`${path}.permissions[${j}]`, resourceKey, action);
+    });
+  });
+  checkUnique(errors, 'roles', roles);
+
+  // User sets
+  const userSets = policy.userSets || [];
+  userSets.forEach((userSet, i) => {
+    const path = `userSets[${i}]`;
+    checkKey(errors, `${path}.key`, userSet.key, snapshot);
+    checkOptionalString(errors, `${path}.name`, userSet.name);
+    checkOptionalString(errors, `${path}.description`, userSet.description);
+    checkConditions(errors, `${path}.conditions`, userSet.conditions);
+  });
+  checkUnique(errors, 'userSets', userSets);
+
+  // Resource sets
+  const resourceSets = policy.resourceSets || [];
+  resourceSets.forEach((resourceSet, i) => {
+    const path = `resourceSets[${i}]`;
+    checkKey(errors, `${path}.key`, resourceSet.key, snapshot);
+    checkOptionalString(errors, `${path}.name`, resourceSet.name);
+    checkOptionalString(errors, `${path}.description`, resourceSet.description);
+    if (typeof resourceSet.resource !== 'string') {
+      errors.push(`${path}.resource: resource key is required`);
+    } else if (managesResources && !resourceActions.has(resourceSet.resource)) {
+      errors.push(`${path}.resource: unknown resource '${resourceSet.resource}'`);
+    }
+    if (resourceSet.conditions !== undefined) {
+      checkConditions(errors, `${path}.conditions`, resourceSet.conditions);
+    }
+  });
+  checkUnique(errors, 'resourceSets', resourceSets);
+
+  // Set rules
+  const userSetKeys = userSets.map((us) => us.key);
+  const setRules = policy.setRules || [];
+  setRules.forEach((rule, i) => {
+    const path = `setRules[${i}]`;
+
+    if (typeof rule.userSet !== 'string') {
+      errors.push(`${path}.userSet: user set key is required`);
+    } else if (
+      policy.userSets !== undefined &&
+      !rule.userSet.startsWith(AUTOGEN_PREFIX) &&
+      !userSetKeys.includes(rule.userSet)
+    ) {
+      errors.push(`${path}.userSet: unknown user set '${rule.userSet}'`);
+    }
+
+    if ((rule.resource === undefined) === (rule.resourceSet === undefined)) {
+      errors.push(`${path}: exactly one of resource or resourceSet is required`);
+      return;
+    }
+
+    const resourceKey = rule.resource ?? resolveResourceSetResource(rule.resourceSet, resourceSets);
+    if (!resourceKey) {
+      errors.push(`${path}.resourceSet: unknown resource set '${rule.resourceSet}'`);
+      return;
+    }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      errors.push(`${path}.actions: at least one action is required`);
+      return;
+    }
+    rule.actions.forEach((action, j) => checkPermission(`${path}.actions[${j}]`, resourceKey, action));
+  });
+
+  // Tenants (snapshots only)
+  if (policy.tenants !== undefined) {
+    if (!Array.isArray(policy.tenants)) {
+      errors.push('tenants: must be a list');
+    } else {
+      policy.tenants.forEach((tenant, i) => {
+        if (typeof tenant?.key !== 'string' || !tenant.key.trim()) {
+          errors.push(`tenants[${i}].key: tenant key is required`);
+        }
+      });
+      checkUnique(errors, 'tenants', policy.tenants);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a validated policy document into the desired model used by apply
+ * @param {object} policy - Validated policy document
+ * @returns {object} Desired model with defaults filled in and set rules expanded
+ */
+export function normalizePolicy(policy) {
+  const model = {};
+
+  if (policy.resources) {
+    model.resources = policy.resources.map((resource) => {
+      const name = resource.name || keyToDisplayName(resource.key);
+      return {
+        key: resource.key,
+        name,
+        description: resource.description ?? `${name} resource`,
+        actions: buildActions(resource.actions, name),
+        ...(resource.attributes ? { attributes: resource.attributes } : {}),
+      };
+    });
+  }
+
+  if (policy.userAttributes) {
+    model.userAttributes = policy.userAttributes.map((attribute) => ({
+      key: attribute.key,
+      type: attribute.type,
+      description: attribute.description ?? `${keyToDisplayName(attribute.key)} attribute for ABAC`,
+    }));
+  }
+
+  if (policy.roles) {
+    model.roles = policy.roles.map((role) => {
+      const name = role.name || keyToDisplayName(role.key);
+      return {
+        key: role.key,
+        name,
+        description: role.description ?? `${name} role`,
+        permissions: [...new Set(role.permissions || [])],
+      };
+    });
+  }
+
+  if (policy.userSets) {
+    model.userSets = policy.userSets.map((userSet) => {
+      const name = userSet.name || keyToDisplayName(userSet.key);
+      return {
+        key: userSet.key,
+        name,
+        description: userSet.description ?? `Users in ${name} set`,
+        conditions: userSet.conditions,
+      };
+    });
+  }
+
+  if (policy.resourceSets) {
+    model.resourceSets = policy.resourceSets.map((resourceSet) => {
+      const name = resourceSet.name || keyToDisplayName(resourceSet.key);
+      return {
+        key: resourceSet.key,
+        name,
+        description: resourceSet.description ?? `${name} resource set`,
+        resource: resourceSet.resource,
+        conditions: resourceSet.conditions || { allOf: [] },
+      };
+    });
+  }
+
+  if (policy.setRules) {
+    const seen = new Set();
+    model.setRules = [];
+    for (const rule of policy.setRules) {
+      const resourceSet = rule.resourceSet ?? `${AUTOGEN_PREFIX}${rule.resource}`;
+      const resourceKey = rule.resource ?? resolveResourceSetResource(resourceSet, policy.resourceSets);
+      for (const action of rule.actions) {
+        const permission = `${resourceKey}:${action}`;
+        const id = `${rule.userSet}|${resourceSet}|${permission}`;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        model.setRules.push({ userSet: rule.userSet, resourceSet, permission });
+      }
+    }
+  }
+
+  return model;
+}
+
+/**
+ * Parse a policy document from text
+ * @param {string} text - File contents
+ * @param {string} filePath - File path (used to pick the parser)
+ * @returns {object} Parsed document
+ */
+function parsePolicyText(text, filePath) {
+  try {
+    return extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse policy file '${filePath}': ${error.message}`);
+  }
+}
+
+/**
+ * Read and validate a policy file (YAML or JSON) without normalizing it
+ * @param {string} filePath - Path to the policy file
+ * @param {object} [options] - Validation options (see validatePolicy)
+ * @returns {object} Validated policy document
+ */
+export function readPolicyFile(filePath, options = {}) {
+  let text;
+  try {
+    text = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read policy file '${filePath}': ${error.message}`);
+  }
+
+  const policy = parsePolicyText(text, filePath);
+  const errors = validatePolicy(policy, options);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Policy file '${filePath}' is invalid:\n` +
+      errors.map((error) => `  - ${error}`).join('\n')
+    );
+  }
+
+  return policy;
+}
+
+/**
+ * Load, validate and normalize a policy file (YAML or JSON)
+ * @param {string} filePath - Path to the policy file
+ * @returns {object} Desired model
+ */
+export function loadPolicy(filePath) {
+  return normalizePolicy(readPolicyFile(filePath));
+}
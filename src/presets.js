@@ -10,6 +10,8 @@ export const VALIDATION_PATTERNS = {
   // Pattern for resource, role, and user set keys
   key: /^[a-z][a-z0-9_-]*$/,
   keyDescription: 'Key must start with lowercase letter and contain only lowercase letters, numbers, hyphens, or underscores',
+  // Pattern for number values (decimal only: no hex, exponent, Infinity or NaN)
+  number: /^-?\d+(\.\d+)?$/,
 };
 
 /**
@@ -27,15 +29,20 @@ export const AVAILABLE_ACTIONS = [
 ];
 
 /**
- * Condition operators for ABAC
+ * Condition operators for ABAC, with the attribute types each one applies to
  */
 export const CONDITION_OPERATORS = [
-  { name: 'array_contains - Array contains value', value: 'array_contains' },
-  { name: 'equals - Exact match', value: 'equals' },
-  { name: 'not_equals - Does not equal', value: 'not_equals' },
-  { name: 'contains - String contains', value: 'contains' },
-  { name: 'starts_with - String starts with', value: 'starts_with' },
-  { name: 'ends_with - String ends with', value: 'ends_with' },
+  { name: 'array_contains - Array contains value', value: 'array_contains', types: ['array'] },
+  { name: 'equals - Exact match', value: 'equals', types: ['string', 'number', 'bool'] },
+  { name: 'not_equals - Does not equal', value: 'not_equals', types: ['string', 'number', 'bool'] },
+  { name: 'contains - String contains', value: 'contains', types: ['string'] },
+  { name: 'starts_with - String starts with', value: 'starts_with', types: ['string'] },
+  { name: 'ends_with - String ends with', value: 'ends_with', types: ['string'] },
+  { name: 'greater-than - Number is greater than', value: 'greater-than', types: ['number'] },
+  { name: 'greater-than-equals - Number is greater than or equal to', value: 'greater-than-equals', types: ['number'] },
+  { name: 'less-than - Number is less than', value: 'less-than', types: ['number'] },
+  { name: 'less-than-equals - Number is less than or equal to', value: 'less-than-equals', types: ['number'] },
+  { name: 'in - One of a list of values', value: 'in', types: ['string', 'number'] },
 ];
 
 /**
@@ -58,6 +65,11 @@ export const PROTECTED_RESOURCES = ['__user'];
  */
 export const PROTECTED_ROLES = ['admin', 'viewer'];
 
+/**
+ * Built-in attributes of the __user resource (not managed by this tool)
+ */
+export const BUILT_IN_USER_ATTRIBUTES = ['key', 'email', 'first_name', 'last_name'];
+
 /**
  * Default tenant name
  */
@@ -96,6 +108,33 @@ export const CONDITION_SET_TYPES = {
   RESOURCE_SET: 'resourceset',
 };
 
+/**
+ * Prefix used by Permit.io for auto-generated condition sets (e.g. __autogen_invoice)
+ */
+export const AUTOGEN_PREFIX = '__autogen_';
+
+/**
+ * Policy file format version
+ */
+export const POLICY_VERSION = 1;
+
+/**
+ * Sections of a policy file, in the order they are applied
+ */
+export const POLICY_SECTIONS = [
+  'resources',
+  'userAttributes',
+  'roles',
+  'userSets',
+  'resourceSets',
+  'setRules',
+];
+
+/**
+ * Snapshot-only fields of a policy file (ignored by plan and apply)
+ */
+export const SNAPSHOT_FIELDS = ['exportedAt', 'source', 'tenants'];
+
 /**
  * Helper to validate a key against the standard pattern
  * @param {string} value - The key to validate
@@ -109,6 +148,139 @@ export function validateKey(value) {
   return true;
 }
 
+/**
+ * Helper to check whether any condition operator applies to an attribute type
+ * @param {string} [type] - Attribute type
+ * @returns {boolean} - False for missing types and types such as json
+ */
+function isOperatorType(type) {
+  return CONDITION_OPERATORS.some((op) => op.types.includes(type));
+}
+
+/**
+ * Helper to get the condition operators valid for an attribute type
+ * @param {string} [type] - Attribute type from ATTRIBUTE_TYPES (all operators if unknown,
+ *   including types no operator lists, such as json)
+ * @returns {Array<{name: string, value: string}>} - Operator choices
+ */
+export function operatorsForType(type) {
+  return CONDITION_OPERATORS
+    .filter((op) => !isOperatorType(type) || op.types.includes(type))
+    .map(({ name, value }) => ({ name, value }));
+}
+
+/**
+ * Helper to check that a user attribute can be the value of a condition on a resource attribute
+ * array_contains looks for the user attribute in the resource's array, so it
+ * takes a single value; other operators compare values of the same type.
+ * Unknown types (or types such as json) are not checked.
+ * @param {string} operator - Operator from CONDITION_OPERATORS
+ * @param {string} [type] - Resource attribute type
+ * @param {string} [refType] - User attribute type
+ * @returns {boolean} - True if the operator can compare the two attributes
+ */
+export function isRefCompatible(operator, type, refType) {
+  if (!isOperatorType(refType)) {
+    return true;
+  }
+  if (operator === 'array_contains') {
+    return refType !== 'array';
+  }
+  if (!isOperatorType(type)) {
+    return operatorsForType(refType).some((op) => op.value === operator);
+  }
+  return refType === type;
+}
+
+/**
+ * Helper to check that a value is a finite decimal number (e.g. "5", "-2.5")
+ * @param {string} value - Trimmed raw value
+ * @returns {boolean} - True if the value is a finite decimal
+ */
+function isDecimalNumber(value) {
+  return VALIDATION_PATTERNS.number.test(value) && Number.isFinite(Number(value));
+}
+
+/**
+ * Helper to convert a raw condition value to the type the operator compares against
+ * "in" takes a comma-separated list, array_contains one element of the array.
+ * Without a known type (or with one no operator lists, such as json), numeric
+ * operators (greater-than, ...) take a number and other values are kept as strings.
+ * @param {string} raw - Raw value (e.g. "5" or "eu,uk")
+ * @param {string} [type] - Attribute type from ATTRIBUTE_TYPES
+ * @param {string} operator - Operator from CONDITION_OPERATORS
+ * @returns {*} - Typed value
+ * @throws {Error} - If the value is not valid for the type
+ */
+export function coerceConditionValue(raw, type, operator) {
+  // Numeric operators only compare numbers, so an unknown attribute is taken to be one
+  const numericOnly = CONDITION_OPERATORS.find((op) => op.value === operator)?.types.every((t) => t === 'number');
+  if (!isOperatorType(type) && numericOnly) {
+    return coerceConditionValue(raw, 'number', operator);
+  }
+
+  if (operator === 'in') {
+    const items = raw.split(',').map((item) => item.trim()).filter(Boolean);
+    if (items.length === 0) {
+      throw new Error('At least one value is required');
+    }
+    return items.map((item) => coerceConditionValue(item, type, 'equals'));
+  }
+
+  const value = raw.trim();
+  if (!value) {
+    throw new Error('Value is required');
+  }
+  return type === 'number' || type === 'bool' ? coerceAttributeValue(value, type) : value;
+}
+
+/**
+ * Helper to convert a raw attribute value to the attribute's type
+ * Without a known type, JSON literals (5, true, ["a"]) are parsed and
+ * comma-separated values become arrays.
+ * @param {string} raw - Raw value (e.g. "billing,finance")
+ * @param {string} [type] - Attribute type from ATTRIBUTE_TYPES
+ * @returns {*} - Typed value
+ * @throws {Error} - If the value is not valid for the type
+ */
+export function coerceAttributeValue(raw, type) {
+  const value = raw.trim();
+
+  switch (type) {
+    case 'string':
+      return value;
+    case 'number':
+      if (!isDecimalNumber(value)) {
+        throw new Error(`'${value}' is not a number`);
+      }
+      return Number(value);
+    case 'bool':
+      if (!['true', 'false'].includes(value)) {
+        throw new Error(`'${value}' is not true or false`);
+      }
+      return value === 'true';
+    case 'array':
+      if (!value.startsWith('[')) {
+        return value.split(',').map((item) => item.trim()).filter(Boolean);
+      }
+      try {
+        const items = JSON.parse(value);
+        if (Array.isArray(items)) {
+          return items;
+        }
+      } catch {
+        // Reported below
+      }
+      throw new Error(`'${value}' is not a JSON array`);
+    default:
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value.includes(',') ? value.split(',').map((item) => item.trim()) : value;
+      }
+  }
+}
+
 /**
  * Helper to capitalize first letter
  * @param {string} str - String to capitalize
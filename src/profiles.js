@@ -0,0 +1,96 @@
+import { readFileSync, existsSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import YAML from 'yaml';
+import { config } from './config.js';
+
+/**
+ * Named connection profiles
+ *
+ * Profiles live in ~/.permit-setup/profiles.yaml (or the file named by
+ * PERMIT_PROFILES_FILE):
+ *
+ *   profiles:
+ *     horaion-dev:
+ *       apiUrl: https://api.permit.io/v2
+ *       pdpUrl: http://localhost:7766
+ *       projectId: horaion
+ *       envId: dev
+ *       apiKeyEnv: PERMIT_API_KEY_HORAION_DEV
+ *
+ * The API key is referenced by environment variable name (`apiKeyEnv`) so the
+ * profiles file can be shared without secrets. `apiKey` is accepted as well.
+ * Fields a profile leaves out fall back to the .env / environment settings.
+ */
+
+export const PROFILES_PATH = process.env.PERMIT_PROFILES_FILE || join(homedir(), '.permit-setup', 'profiles.yaml');
+
+const PROFILE_FIELDS = ['apiUrl', 'pdpUrl', 'projectId', 'envId', 'apiKey', 'apiKeyEnv'];
+
+// Settings from .env / environment, used for fields a profile leaves out
+const baseConfig = { ...config };
+
+/**
+ * Load all profiles from the profiles file
+ * @returns {object} Profiles keyed by name (empty if the file does not exist)
+ */
+export function loadProfiles() {
+  if (!existsSync(PROFILES_PATH)) {
+    return {};
+  }
+
+  let document;
+  try {
+    document = YAML.parse(readFileSync(PROFILES_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read profiles file '${PROFILES_PATH}': ${error.message}`);
+  }
+
+  const profiles = document?.profiles;
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`Profiles file '${PROFILES_PATH}' must contain a 'profiles' map`);
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    const unknown = Object.keys(profile || {}).filter((field) => !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Profile '${name}' has unknown field(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Point config at a named profile
+ * @param {string} name - Profile name
+ */
+export function applyProfile(name) {
+  const profiles = loadProfiles();
+  const profile = profiles[name];
+
+  if (!profile) {
+    const available = Object.keys(profiles);
+    throw new Error(
+      `Profile '${name}' not found in ${PROFILES_PATH}` +
+      (available.length > 0 ? `\nAvailable profiles: ${available.join(', ')}` : '')
+    );
+  }
+
+  let apiKey = profile.apiKey || baseConfig.apiKey;
+  if (profile.apiKeyEnv) {
+    apiKey = process.env[profile.apiKeyEnv];
+    if (!apiKey) {
+      throw new Error(`Profile '${name}' reads its API key from ${profile.apiKeyEnv}, which is not set`);
+    }
+  }
+
+  Object.assign(config, {
+    apiUrl: profile.apiUrl || baseConfig.apiUrl,
+    pdpUrl: profile.pdpUrl || baseConfig.pdpUrl,
+    apiKey,
+    projectId: profile.projectId || baseConfig.projectId,
+    envId: profile.envId || baseConfig.envId,
+    profile: name,
+  });
+}
@@ -1,48 +1,33 @@
 import { config } from './config.js';
 import { logger } from './logger.js';
 import { permitApi } from './api.js';
-import { listResources, deleteResource } from './resources.js';
+import { listResources, deleteResource, listResourceAttributes } from './resources.js';
 import { listRoles } from './roles.js';
-import { listConditionSets } from './abac.js';
+import { deleteTenant } from './tenants.js';
+import { listConditionSets, listUserAttributes, listSetRules, deleteSetRule } from './abac.js';
+import { createBackup } from './backup.js';
+import { computePlan, PLAN_TYPES } from './plan.js';
+import { applyPlan } from './apply.js';
 import {
   PROTECTED_RESOURCES,
   PROTECTED_ROLES,
   DEFAULT_TENANT,
-  DEFAULT_USER_ATTRIBUTE,
+  BUILT_IN_USER_ATTRIBUTES,
   CONDITION_SET_TYPES,
 } from './presets.js';
 
 /**
  * Delete all set rules
+ * @throws {Error} If the set rules cannot be listed (nothing is deleted)
  */
 async function deleteSetRules() {
   logger.info('Deleting set rules...');
 
-  const result = await permitApi(
-    'GET',
-    `/facts/${config.projectId}/${config.envId}/set_rules`
-  );
-
-  if (!result.success || !result.data) {
-    logger.warning('Could not retrieve set rules');
-    return;
-  }
-
-  const rules = result.data;
+  const rules = await listSetRules();
   let deleted = 0;
 
   for (const rule of rules) {
-    const deleteResult = await permitApi(
-      'DELETE',
-      `/facts/${config.projectId}/${config.envId}/set_rules`,
-      {
-        user_set: rule.user_set,
-        resource_set: rule.resource_set,
-        permission: rule.permission,
-      }
-    );
-
-    if (deleteResult.success) {
+    if (await deleteSetRule(rule.user_set, rule.resource_set, rule.permission)) {
       deleted++;
     }
   }
@@ -103,29 +88,85 @@ async function deleteConditionSets() {
 }
 
 /**
- * Delete user attributes
- * @param {string} attributeKey - Attribute key to delete (defaults to DEFAULT_USER_ATTRIBUTE.key)
+ * Delete all custom user attributes (fetched dynamically from API)
  */
-async function deleteUserAttributes(attributeKey = DEFAULT_USER_ATTRIBUTE.key) {
+async function deleteUserAttributes() {
   logger.info('Deleting user attributes...');
 
-  logger.info(`  Deleting '${attributeKey}' attribute from __user`);
-  const result = await permitApi(
-    'DELETE',
-    `/schema/${config.projectId}/${config.envId}/resources/__user/attributes/${attributeKey}`
-  );
+  const attributes = await listUserAttributes();
 
-  if (result.success) {
-    logger.success(`  Attribute '${attributeKey}' deleted`);
-  } else if (result.status === 404) {
-    logger.info(`  Attribute '${attributeKey}' not found (already deleted)`);
-  } else {
-    logger.warning(`  Failed to delete '${attributeKey}' attribute`);
+  if (!attributes || attributes.length === 0) {
+    logger.info('  No user attributes found');
+    return;
+  }
+
+  for (const attribute of attributes) {
+    // Skip built-in attributes of __user
+    if (BUILT_IN_USER_ATTRIBUTES.includes(attribute.key)) {
+      logger.info(`  Skipping built-in attribute: ${attribute.key}`);
+      continue;
+    }
+
+    logger.info(`  Deleting user attribute: ${attribute.key}`);
+    const result = await permitApi(
+      'DELETE',
+      `/schema/${config.projectId}/${config.envId}/resources/__user/attributes/${attribute.key}`
+    );
+
+    if (result.success) {
+      logger.success(`  Attribute '${attribute.key}' deleted`);
+    } else if (result.status === 404) {
+      logger.info(`  Attribute '${attribute.key}' not found (already deleted)`);
+    } else {
+      logger.warning(`  Failed to delete '${attribute.key}' attribute`);
+    }
   }
 
   logger.success('User attributes deleted');
 }
 
+/**
+ * Delete the attributes of every resource (fetched dynamically from API)
+ */
+async function deleteResourceAttributes() {
+  logger.info('Deleting resource attributes...');
+
+  const resources = await listResources();
+  let found = 0;
+
+  for (const resource of resources) {
+    // User attributes live on __user and are handled by deleteUserAttributes
+    if (PROTECTED_RESOURCES.includes(resource.key)) {
+      continue;
+    }
+
+    const attributes = await listResourceAttributes(resource.key);
+    for (const attribute of attributes) {
+      found++;
+      logger.info(`  Deleting attribute: ${resource.key}.${attribute.key}`);
+      const result = await permitApi(
+        'DELETE',
+        `/schema/${config.projectId}/${config.envId}/resources/${resource.key}/attributes/${attribute.key}`
+      );
+
+      if (result.success) {
+        logger.success(`  Attribute '${resource.key}.${attribute.key}' deleted`);
+      } else if (result.status === 404) {
+        logger.info(`  Attribute '${resource.key}.${attribute.key}' not found (already deleted)`);
+      } else {
+        logger.warning(`  Failed to delete '${resource.key}.${attribute.key}' attribute`);
+      }
+    }
+  }
+
+  if (found === 0) {
+    logger.info('  No resource attributes found');
+    return;
+  }
+
+  logger.success('Resource attributes deleted');
+}
+
 /**
  * Delete all roles (fetched dynamically from API)
  */
@@ -204,15 +245,8 @@ async function deleteResources() {
 async function deleteDefaultTenant(tenantKey = DEFAULT_TENANT) {
   logger.info('Deleting default tenant...');
 
-  const result = await permitApi(
-    'DELETE',
-    `/facts/${config.projectId}/${config.envId}/tenants/${tenantKey}`
-  );
-
-  if (result.success) {
+  if (await deleteTenant(tenantKey)) {
     logger.success(`Default tenant '${tenantKey}' deleted`);
-  } else if (result.status === 404) {
-    logger.info(`Default tenant '${tenantKey}' not found (already deleted)`);
   } else {
     logger.warning('Could not delete default tenant');
   }
@@ -220,8 +254,12 @@ async function deleteDefaultTenant(tenantKey = DEFAULT_TENANT) {
 
 /**
  * Reset/remove all Permit.io configuration
+ * @returns {Promise<{backup: string|null}>} Path of the backup written before the reset
  */
 export async function resetAll() {
+  const backup = await createBackup('reset-all');
+  logger.blank();
+
   logger.info('Resetting all Permit.io configuration...');
   logger.blank();
 
@@ -244,12 +282,17 @@ export async function resetAll() {
   logger.blank();
 
   logger.success('All Permit.io configuration has been reset!');
+  return { backup };
 }
 
 /**
  * Reset RBAC only (resources, roles)
+ * @returns {Promise<{backup: string|null}>} Path of the backup written before the reset
  */
 export async function resetRbac() {
+  const backup = await createBackup('reset-rbac');
+  logger.blank();
+
   logger.info('Resetting RBAC configuration...');
   logger.blank();
 
@@ -260,12 +303,17 @@ export async function resetRbac() {
   logger.blank();
 
   logger.success('RBAC configuration has been reset!');
+  return { backup };
 }
 
 /**
- * Reset ABAC only (user attributes, user sets, resource sets, set rules)
+ * Reset ABAC only (user attributes, resource attributes, user sets, resource sets, set rules)
+ * @returns {Promise<{backup: string|null}>} Path of the backup written before the reset
  */
 export async function resetAbac() {
+  const backup = await createBackup('reset-abac');
+  logger.blank();
+
   logger.info('Resetting ABAC configuration...');
   logger.blank();
 
@@ -278,13 +326,21 @@ export async function resetAbac() {
   await deleteUserAttributes();
   logger.blank();
 
+  await deleteResourceAttributes();
+  logger.blank();
+
   logger.success('ABAC configuration has been reset!');
+  return { backup };
 }
 
 /**
  * Reset resources only
+ * @returns {Promise<{backup: string|null}>} Path of the backup written before the reset
  */
 export async function resetResources() {
+  const backup = await createBackup('reset-resources');
+  logger.blank();
+
   logger.info('Resetting resources...');
   logger.blank();
 
@@ -292,12 +348,17 @@ export async function resetResources() {
   logger.blank();
 
   logger.success('Resources have been reset!');
+  return { backup };
 }
 
 /**
  * Reset roles only
+ * @returns {Promise<{backup: string|null}>} Path of the backup written before the reset
  */
 export async function resetRoles() {
+  const backup = await createBackup('reset-roles');
+  logger.blank();
+
   logger.info('Resetting roles...');
   logger.blank();
 
@@ -305,4 +366,120 @@ export async function resetRoles() {
   logger.blank();
 
   logger.success('Roles have been reset!');
+  return { backup };
+}
+
+/**
+ * Convert a key glob ("test-*", "tmp-?") to a regular expression
+ * @param {string} glob - Glob with * and ? wildcards
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(glob) {
+  const pattern = glob
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Find the items a selective reset deletes
+ *
+ * Items are matched by type and key glob, or by not being declared in a policy
+ * (sections the policy leaves out are not touched, as with apply --prune).
+ * Items that depend on a matched item are added (see withDependentChanges).
+ * Protected resources and roles are never matched.
+ *
+ * @param {object} live - Live model from fetchLiveState()
+ * @param {object} filters - Filters (all given filters must match)
+ * @param {Array<string>} [filters.types] - Plan types to reset (see PLAN_TYPES)
+ * @param {Array<string>} [filters.match] - Key globs, an item matches if any glob matches
+ * @param {object} [filters.notIn] - Desired model, items it does not declare match
+ * @returns {Array} Delete changes in deletion order
+ */
+export function selectResetChanges(live, { types, match, notIn } = {}) {
+  const everything = Object.fromEntries(
+    ['resources', 'userAttributes', 'roles', 'userSets', 'resourceSets', 'setRules'].map((section) => [section, []])
+  );
+  const candidates = computePlan(everything, live).changes;
+  const undeclared = notIn
+    ? new Set(computePlan(notIn, live).changes.filter((c) => c.action === 'delete').map((c) => `${c.type}|${c.key}`))
+    : null;
+  const globs = (match || []).map(globToRegExp);
+
+  return withDependentChanges(
+    candidates,
+    candidates
+      .filter((change) => !types || types.includes(change.type))
+      .filter((change) => globs.length === 0 || globs.some((glob) => glob.test(change.key)))
+      .filter((change) => !undeclared || undeclared.has(`${change.type}|${change.key}`))
+  );
+}
+
+/**
+ * Add the items that depend on selected items
+ *
+ * Permit.io deletes them with the item they depend on, so they are always part
+ * of the reset: the role permissions, resource sets and set rules of a
+ * resource, the permissions of a role, and the set rules of a user set or
+ * resource set.
+ * @param {Array} candidates - Delete changes the dependents are taken from
+ * @param {Array} changes - Selected delete changes
+ * @returns {Array} The selected changes and their dependents, in deletion order
+ */
+export function withDependentChanges(candidates, changes) {
+  const selected = new Set(changes.map((change) => `${change.type}|${change.key}`));
+
+  const isSelected = (type, key) => selected.has(`${type}|${key}`);
+  const dependsOnSelected = ({ type, current }) => {
+    const resource = current.permission?.split(':')[0] ?? current.resource;
+    switch (type) {
+      case 'rolePermission':
+        return isSelected('role', current.role) || isSelected('resource', resource);
+      case 'resourceSet':
+        return isSelected('resource', resource);
+      case 'setRule':
+        return isSelected('userSet', current.userSet) ||
+          isSelected('resourceSet', current.resourceSet) ||
+          isSelected('resource', resource);
+      default:
+        return false;
+    }
+  };
+  // Resource sets are added before set rules (PLAN_TYPES order), so one pass is enough
+  for (const type of PLAN_TYPES) {
+    for (const change of candidates.filter((c) => c.type === type && dependsOnSelected(c))) {
+      selected.add(`${change.type}|${change.key}`);
+    }
+  }
+
+  return candidates.filter((change) => selected.has(`${change.type}|${change.key}`));
+}
+
+/**
+ * Delete selected items, after writing a backup
+ * @param {Array} changes - Delete changes from selectResetChanges()
+ * @returns {Promise<{backup: string|null, succeeded: number, failed: number, skipped: number}>} Summary
+ */
+export async function resetSelected(changes) {
+  const backup = await createBackup('reset-selected');
+  logger.blank();
+
+  logger.info(`Deleting ${changes.length} selected item(s)...`);
+  const summary = await applyPlan(
+    { changes, summary: { create: 0, update: 0, delete: changes.length } },
+    { prune: true }
+  );
+  logger.blank();
+
+  if (summary.failed > 0) {
+    logger.warning(`Selective reset finished with ${summary.failed} failure(s)`);
+  } else {
+    logger.success(`Deleted ${summary.succeeded} item(s)`);
+  }
+  return { backup, ...summary };
 }
@@ -1,6 +1,6 @@
 import { config } from './config.js';
 import { logger } from './logger.js';
-import { permitApi } from './api.js';
+import { permitApi, permitList } from './api.js';
 
 /**
  * Create a resource in Permit.io
@@ -24,6 +24,29 @@ export async function createResource(resource) {
   }
 }
 
+/**
+ * Update a resource
+ * @param {string} resourceKey - The resource key
+ * @param {object} changes - Fields to update (name, description, actions)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function updateResource(resourceKey, changes) {
+  logger.info(`Updating resource: ${resourceKey}`);
+  const result = await permitApi(
+    'PATCH',
+    `/schema/${config.projectId}/${config.envId}/resources/${resourceKey}`,
+    changes
+  );
+
+  if (result.success) {
+    logger.success(`Resource '${resourceKey}' updated`);
+    return true;
+  } else {
+    logger.warning(`Failed to update resource '${resourceKey}'`);
+    return false;
+  }
+}
+
 /**
  * Get a resource by key
  * @param {string} resourceKey - The resource key
@@ -42,11 +65,81 @@ export async function getResource(resourceKey) {
  * @returns {Promise<Array>} List of resources
  */
 export async function listResources() {
+  return permitList(`/schema/${config.projectId}/${config.envId}/resources`);
+}
+
+/**
+ * List the attributes of a resource
+ * @param {string} resourceKey - The resource key
+ * @returns {Promise<Array>} List of attributes ({ key, type, description })
+ */
+export async function listResourceAttributes(resourceKey) {
+  return permitList(`/schema/${config.projectId}/${config.envId}/resources/${resourceKey}/attributes`);
+}
+
+/**
+ * Create an attribute on a resource (resource set conditions filter on it)
+ * @param {string} resourceKey - The resource key
+ * @param {object} attribute - Attribute configuration { key, type, description }
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function createResourceAttribute(resourceKey, attribute) {
+  logger.info(`Creating attribute '${attribute.key}' on resource: ${resourceKey}`);
   const result = await permitApi(
-    'GET',
-    `/schema/${config.projectId}/${config.envId}/resources`
+    'POST',
+    `/schema/${config.projectId}/${config.envId}/resources/${resourceKey}/attributes`,
+    {
+      key: attribute.key,
+      type: attribute.type,
+      description: attribute.description,
+    }
   );
-  return result.success ? result.data : [];
+
+  if (result.success) {
+    logger.success(`Resource attribute '${resourceKey}.${attribute.key}' created/exists`);
+    return true;
+  } else {
+    logger.warning(`Failed to create resource attribute '${resourceKey}.${attribute.key}'`);
+    return false;
+  }
+}
+
+/**
+ * Update an attribute of a resource
+ * @param {string} resourceKey - The resource key
+ * @param {string} attributeKey - The attribute key
+ * @param {object} changes - Fields to update (type, description)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function updateResourceAttribute(resourceKey, attributeKey, changes) {
+  logger.info(`Updating attribute '${attributeKey}' on resource: ${resourceKey}`);
+  const result = await permitApi(
+    'PATCH',
+    `/schema/${config.projectId}/${config.envId}/resources/${resourceKey}/attributes/${attributeKey}`,
+    changes
+  );
+
+  if (result.success) {
+    logger.success(`Resource attribute '${resourceKey}.${attributeKey}' updated`);
+    return true;
+  } else {
+    logger.warning(`Failed to update resource attribute '${resourceKey}.${attributeKey}'`);
+    return false;
+  }
+}
+
+/**
+ * Delete an attribute of a resource
+ * @param {string} resourceKey - The resource key
+ * @param {string} attributeKey - The attribute key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteResourceAttribute(resourceKey, attributeKey) {
+  const result = await permitApi(
+    'DELETE',
+    `/schema/${config.projectId}/${config.envId}/resources/${resourceKey}/attributes/${attributeKey}`
+  );
+  return result.success || result.status === 404;
 }
 
 /**
@@ -1,6 +1,6 @@
 import { config } from './config.js';
 import { logger } from './logger.js';
-import { permitApi } from './api.js';
+import { permitApi, permitList } from './api.js';
 
 /**
  * Create a role in Permit.io
@@ -24,6 +24,29 @@ export async function createRole(role) {
   }
 }
 
+/**
+ * Update a role
+ * @param {string} roleKey - The role key
+ * @param {object} changes - Fields to update (name, description)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function updateRole(roleKey, changes) {
+  logger.info(`Updating role: ${roleKey}`);
+  const result = await permitApi(
+    'PATCH',
+    `/schema/${config.projectId}/${config.envId}/roles/${roleKey}`,
+    changes
+  );
+
+  if (result.success) {
+    logger.success(`Role '${roleKey}' updated`);
+    return true;
+  } else {
+    logger.warning(`Failed to update role '${roleKey}'`);
+    return false;
+  }
+}
+
 /**
  * Assign a permission to a role
  * @param {string} roleKey - The role key
@@ -42,16 +65,30 @@ export async function assignPermissionToRole(roleKey, resource, action) {
   return result.success;
 }
 
+/**
+ * Remove a permission from a role
+ * @param {string} roleKey - The role key
+ * @param {string} resource - The resource key
+ * @param {string} action - The action key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function removePermissionFromRole(roleKey, resource, action) {
+  const result = await permitApi(
+    'DELETE',
+    `/schema/${config.projectId}/${config.envId}/roles/${roleKey}/permissions`,
+    {
+      permissions: [`${resource}:${action}`],
+    }
+  );
+  return result.success || result.status === 404;
+}
+
 /**
  * List all roles
  * @returns {Promise<Array>} List of roles
  */
 export async function listRoles() {
-  const result = await permitApi(
-    'GET',
-    `/schema/${config.projectId}/${config.envId}/roles`
-  );
-  return result.success ? result.data : [];
+  return permitList(`/schema/${config.projectId}/${config.envId}/roles`);
 }
 
 /**
@@ -0,0 +1,173 @@
+import { writeFileSync } from 'fs';
+import { extname } from 'path';
+import YAML from 'yaml';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { listTenants, createTenant } from './tenants.js';
+import { fetchLiveState } from './plan.js';
+import { readPolicyFile, normalizePolicy } from './policy.js';
+import { POLICY_VERSION, AUTOGEN_PREFIX } from './presets.js';
+
+/**
+ * Snapshots of a live environment
+ *
+ * A snapshot is a policy file (see policy.js) with the SNAPSHOT_FIELDS added:
+ * when and where it was exported, and the tenants of the environment. It can be
+ * used as a backup, reviewed, or edited into a policy file for apply.
+ */
+
+/**
+ * Group expanded set rules back into the policy file form
+ * @param {Array} setRules - Set rules ({ userSet, resourceSet, permission })
+ * @returns {Array} Set rules ({ userSet, resource | resourceSet, actions })
+ */
+function groupSetRules(setRules) {
+  const groups = new Map();
+
+  for (const rule of setRules) {
+    const action = rule.permission.split(':')[1];
+    const id = `${rule.userSet}|${rule.resourceSet}`;
+
+    if (!groups.has(id)) {
+      const resource = rule.permission.split(':')[0];
+      const target = rule.resourceSet === `${AUTOGEN_PREFIX}${resource}`
+        ? { resource }
+        : { resourceSet: rule.resourceSet };
+      groups.set(id, { userSet: rule.userSet, ...target, actions: [] });
+    }
+    groups.get(id).actions.push(action);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Build a snapshot of the configured Permit.io environment
+ * @returns {Promise<object>} Snapshot document
+ */
+export async function buildSnapshot() {
+  const [live, tenants] = await Promise.all([fetchLiveState(), listTenants()]);
+
+  return {
+    version: POLICY_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      apiUrl: config.apiUrl,
+      project: config.projectId,
+      environment: config.envId,
+    },
+    resources: live.resources.map(({ attributes, ...resource }) => ({
+      ...resource,
+      ...(Object.keys(attributes).length > 0 ? { attributes } : {}),
+    })),
+    userAttributes: live.userAttributes,
+    roles: live.roles,
+    userSets: live.userSets,
+    resourceSets: live.resourceSets,
+    setRules: groupSetRules(live.setRules),
+    tenants: tenants.map((tenant) => ({
+      key: tenant.key,
+      name: tenant.name,
+      description: tenant.description || '',
+      attributes: tenant.attributes || {},
+    })),
+  };
+}
+
+/**
+ * Serialize a snapshot as JSON or YAML
+ * @param {object} snapshot - Snapshot document
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} Serialized snapshot
+ */
+export function serializeSnapshot(snapshot, format) {
+  return format === 'yaml' ? YAML.stringify(snapshot) : `${JSON.stringify(snapshot, null, 2)}\n`;
+}
+
+/**
+ * Pick the snapshot format from an explicit format or the file extension
+ * @param {string} filePath - Output file path
+ * @param {string} [format] - Explicit format ('json' or 'yaml')
+ * @returns {string} 'json' or 'yaml'
+ */
+export function snapshotFormat(filePath, format) {
+  if (format) {
+    return format === 'yml' ? 'yaml' : format;
+  }
+  return ['.yaml', '.yml'].includes(extname(filePath).toLowerCase()) ? 'yaml' : 'json';
+}
+
+/**
+ * Default snapshot file name for the configured environment
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} File name
+ */
+export function defaultSnapshotName(format) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `permit-${config.projectId}-${config.envId}-${timestamp}.${format}`;
+}
+
+/**
+ * Export the configured environment to a snapshot file
+ * @param {string} filePath - Output file path
+ * @param {string} [format] - 'json' or 'yaml' (defaults to the file extension)
+ * @returns {Promise<object>} The written snapshot
+ */
+export async function exportSnapshot(filePath, format) {
+  logger.info(`Exporting ${config.projectId}/${config.envId}...`);
+  const snapshot = await buildSnapshot();
+
+  writeFileSync(filePath, serializeSnapshot(snapshot, snapshotFormat(filePath, format)));
+
+  logger.success(`Snapshot written to ${filePath}`);
+  logger.log(`  Resources: ${snapshot.resources.length}`);
+  logger.log(`  User attributes: ${snapshot.userAttributes.length}`);
+  logger.log(`  Roles: ${snapshot.roles.length}`);
+  logger.log(`  User sets: ${snapshot.userSets.length}`);
+  logger.log(`  Resource sets: ${snapshot.resourceSets.length}`);
+  logger.log(`  Set rules: ${snapshot.setRules.reduce((sum, rule) => sum + rule.actions.length, 0)}`);
+  logger.log(`  Tenants: ${snapshot.tenants.length}`);
+
+  return snapshot;
+}
+
+/**
+ * Load a snapshot (or policy) file for import
+ * @param {string} filePath - Snapshot file path
+ * @returns {{model: object, tenants: Array, source: object|undefined, exportedAt: string|undefined}} Desired model, tenants and metadata
+ */
+export function loadSnapshot(filePath) {
+  // Accept what the API returned on export, so every backup can be restored
+  const snapshot = readPolicyFile(filePath, { snapshot: true });
+  return {
+    model: normalizePolicy(snapshot),
+    tenants: snapshot.tenants || [],
+    source: snapshot.source,
+    exportedAt: snapshot.exportedAt,
+  };
+}
+
+/**
+ * Recreate the tenants of a snapshot in the configured environment
+ * @param {Array} tenants - Tenants from the snapshot
+ * @returns {Promise<{succeeded: number, failed: number}>} Summary of the restore
+ */
+export async function restoreTenants(tenants) {
+  const summary = { succeeded: 0, failed: 0 };
+
+  for (const tenant of tenants) {
+    const success = await createTenant({
+      key: tenant.key,
+      name: tenant.name || tenant.key,
+      description: tenant.description,
+      attributes: tenant.attributes || {},
+    });
+    if (success) {
+      summary.succeeded++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,82 @@
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { permitApi, permitList } from './api.js';
+
+/**
+ * List all tenants
+ * @returns {Promise<Array>} List of tenants
+ */
+export async function listTenants() {
+  return permitList(`/facts/${config.projectId}/${config.envId}/tenants`);
+}
+
+/**
+ * Create a tenant
+ * @param {object} tenant - Tenant object with key, name, description, attributes
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function createTenant(tenant) {
+  logger.info(`Creating tenant: ${tenant.key}`);
+  const result = await permitApi(
+    'POST',
+    `/facts/${config.projectId}/${config.envId}/tenants`,
+    tenant
+  );
+
+  if (result.success) {
+    logger.success(`Tenant '${tenant.key}' created/exists`);
+    return true;
+  } else {
+    logger.warning(`Failed to create tenant '${tenant.key}'`);
+    return false;
+  }
+}
+
+/**
+ * Get a tenant by key
+ * @param {string} tenantKey - The tenant key
+ * @returns {Promise<object|null>} The tenant data or null
+ */
+export async function getTenant(tenantKey) {
+  const result = await permitApi(
+    'GET',
+    `/facts/${config.projectId}/${config.envId}/tenants/${tenantKey}`
+  );
+  return result.success ? result.data : null;
+}
+
+/**
+ * Update a tenant
+ * @param {string} tenantKey - The tenant key
+ * @param {object} changes - Fields to update (name, description, attributes)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function updateTenant(tenantKey, changes) {
+  logger.info(`Updating tenant: ${tenantKey}`);
+  const result = await permitApi(
+    'PATCH',
+    `/facts/${config.projectId}/${config.envId}/tenants/${tenantKey}`,
+    changes
+  );
+
+  if (result.success) {
+    logger.success(`Tenant '${tenantKey}' updated`);
+    return true;
+  } else {
+    logger.warning(`Failed to update tenant '${tenantKey}'`);
+    return false;
+  }
+}
+
+/**
+ * Delete a tenant by key (its users' role assignments in the tenant are removed with it)
+ * @param {string} tenantKey - The tenant key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteTenant(tenantKey) {
+  const result = await permitApi(
+    'DELETE',
+    `/facts/${config.projectId}/${config.envId}/tenants/${tenantKey}`
+  );
+  return result.success || result.status === 404;
+}
@@ -0,0 +1,214 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import chalk from 'chalk';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { DEFAULT_TENANT } from './presets.js';
+import { parseResource } from './check.js';
+
+/**
+ * Permission test suites
+ *
+ * A test suite declares expected decisions and is evaluated case by case:
+ *
+ *   users:
+ *     basic: { key: test-user, attributes: { groups: [user] } }
+ *   cases:
+ *     - user: basic
+ *       allow: ["employee:read", "company:read"]   # resource:action
+ *       deny: ["rule:delete"]
+ *     - name: Billing reads a finance invoice
+ *       user: { key: u1, attributes: { groups: [billing] } }
+ *       action: read
+ *       resource: { type: invoice, key: inv-1, attributes: { department: finance } }
+ *       expect: allow
+ *
+ * `tenant` can be set at the top level and per case (defaults to DEFAULT_TENANT).
+ */
+
+/**
+ * Resolve a case's user to { key, attributes }
+ */
+function resolveUser(user, users, path, errors) {
+  if (typeof user === 'string') {
+    if (!users[user]) {
+      errors.push(`${path}.user: unknown user '${user}'`);
+      return null;
+    }
+    return { key: users[user].key || user, attributes: users[user].attributes || {} };
+  }
+  if (user && typeof user === 'object' && typeof user.key === 'string') {
+    return { key: user.key, attributes: user.attributes || {} };
+  }
+  errors.push(`${path}.user: must be a user name or an object with a key`);
+  return null;
+}
+
+/**
+ * Resolve a case's resource to { type, key, attributes }
+ */
+function resolveResource(resource, path, errors) {
+  if (typeof resource === 'string') {
+    return parseResource(resource);
+  }
+  if (resource && typeof resource === 'object' && typeof resource.type === 'string') {
+    return { ...resource };
+  }
+  errors.push(`${path}.resource: must be "type[:key]" or an object with a type`);
+  return null;
+}
+
+/**
+ * Expand a parsed test suite into individual checks
+ * @param {object} suite - Parsed test suite document
+ * @returns {{cases: Array, errors: Array<string>}} Expanded cases and validation errors
+ */
+export function expandTestSuite(suite) {
+  const errors = [];
+  const cases = [];
+
+  if (!suite || typeof suite !== 'object' || !Array.isArray(suite.cases)) {
+    return { cases, errors: ['Test suite must have a list of cases'] };
+  }
+
+  const users = suite.users || {};
+  const suiteTenant = suite.tenant || DEFAULT_TENANT;
+
+  suite.cases.forEach((testCase, i) => {
+    const path = `cases[${i}]`;
+    const user = resolveUser(testCase.user, users, path, errors);
+    if (!user) return;
+    const tenant = testCase.tenant || suiteTenant;
+    const userLabel = typeof testCase.user === 'string' ? testCase.user : user.key;
+
+    // Compact form: allow/deny lists of "resource:action"
+    if (testCase.allow !== undefined || testCase.deny !== undefined) {
+      for (const expected of ['allow', 'deny']) {
+        const permissions = testCase[expected] || [];
+        if (!Array.isArray(permissions)) {
+          errors.push(`${path}.${expected}: must be a list of "resource:action"`);
+          continue;
+        }
+        for (const permission of permissions) {
+          const [type, action] = String(permission).split(':');
+          if (!type || !action) {
+            errors.push(`${path}.${expected}: '${permission}' must be "resource:action"`);
+            continue;
+          }
+          cases.push({
+            name: `${userLabel} ${expected === 'allow' ? 'can' : 'cannot'} ${action} ${type}`,
+            request: { user, action, resource: { type, tenant, attributes: {} } },
+            expected,
+          });
+        }
+      }
+      return;
+    }
+
+    // Single check form
+    const resource = resolveResource(testCase.resource, path, errors);
+    if (typeof testCase.action !== 'string') {
+      errors.push(`${path}.action: action is required`);
+    }
+    if (!['allow', 'deny'].includes(testCase.expect)) {
+      errors.push(`${path}.expect: must be allow or deny`);
+    }
+    if (!resource || typeof testCase.action !== 'string' || !['allow', 'deny'].includes(testCase.expect)) {
+      return;
+    }
+
+    const request = {
+      user,
+      action: testCase.action,
+      resource: { tenant, attributes: {}, ...resource },
+    };
+    const resourceLabel = resource.key ? `${resource.type}:${resource.key}` : resource.type;
+    cases.push({
+      name: testCase.name || `${userLabel} ${testCase.expect === 'allow' ? 'can' : 'cannot'} ${testCase.action} ${resourceLabel}`,
+      request,
+      expected: testCase.expect,
+    });
+  });
+
+  return { cases, errors };
+}
+
+/**
+ * Load and expand a test suite file (YAML or JSON)
+ * @param {string} filePath - Path to the test suite
+ * @returns {Array} Expanded cases ({ name, request, expected })
+ */
+export function loadTestSuite(filePath) {
+  let suite;
+  try {
+    const text = readFileSync(filePath, 'utf8');
+    suite = extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read test suite '${filePath}': ${error.message}`);
+  }
+
+  const { cases, errors } = expandTestSuite(suite);
+  if (errors.length > 0) {
+    throw new Error(
+      `Test suite '${filePath}' is invalid:\n` +
+      errors.map((error) => `  - ${error}`).join('\n')
+    );
+  }
+
+  return cases;
+}
+
+/**
+ * Run test cases through a decision function
+ * @param {Array} cases - Expanded cases from loadTestSuite()
+ * @param {Function} decide - Async function (request) => { allow } or null on error
+ * @returns {Promise<{results: Array, passed: number, failed: number, errored: number}>} Test results
+ */
+export async function runTestSuite(cases, decide) {
+  const results = [];
+  const summary = { passed: 0, failed: 0, errored: 0 };
+
+  for (const testCase of cases) {
+    const decision = await decide(testCase.request);
+
+    let status;
+    if (!decision) {
+      status = 'error';
+      summary.errored++;
+    } else if ((decision.allow ? 'allow' : 'deny') === testCase.expected) {
+      status = 'pass';
+      summary.passed++;
+    } else {
+      status = 'fail';
+      summary.failed++;
+    }
+
+    results.push({ ...testCase, status, actual: decision ? (decision.allow ? 'allow' : 'deny') : null });
+  }
+
+  return { results, ...summary };
+}
+
+/**
+ * Print test results
+ * @param {object} outcome - Result of runTestSuite()
+ */
+export function printTestResults(outcome) {
+  const marks = {
+    pass: chalk.green('PASS'),
+    fail: chalk.red('FAIL'),
+    error: chalk.yellow('ERROR'),
+  };
+
+  for (const result of outcome.results) {
+    const detail = result.status === 'fail'
+      ? chalk.gray(` (expected ${result.expected}, got ${result.actual})`)
+      : result.status === 'error' ? chalk.gray(' (no decision)') : '';
+    logger.log(`  ${marks[result.status]}  ${result.name}${detail}`);
+  }
+
+  logger.log('');
+  const total = outcome.results.length;
+  const line = `${outcome.passed}/${total} passed, ${outcome.failed} failed, ${outcome.errored} errored`;
+  logger.log(outcome.failed + outcome.errored > 0 ? chalk.red.bold(line) : chalk.green.bold(line));
+}
@@ -0,0 +1,257 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { DEFAULT_TENANT, coerceAttributeValue } from './presets.js';
+import { listUsers, createUser, updateUser, assignRole } from './users.js';
+
+/**
+ * Bulk user import from CSV, JSON or YAML
+ *
+ * CSV files have a header row. The key, email, first_name, last_name and roles
+ * columns are user fields; every other column is a user attribute:
+ *
+ *   key,email,first_name,last_name,roles,groups
+ *   alice,alice@acme.com,Alice,Smith,admin:acme-corp;viewer,"billing,finance"
+ *
+ * Roles are written as "role" (in the default tenant) or "role:tenant",
+ * separated by ";". JSON and YAML files hold a list of users (or { users: [...] }):
+ *
+ *   - key: alice
+ *     email: alice@acme.com
+ *     attributes: { groups: [billing] }
+ *     roles: ["admin:acme-corp", { role: viewer, tenant: default }]
+ */
+
+// CSV columns that are user fields rather than attributes
+const USER_FIELDS = ['key', 'email', 'first_name', 'last_name', 'roles'];
+
+/**
+ * Parse a role assignment of the form "role" or "role:tenant"
+ * @param {string} assignment - Role assignment (e.g. "admin:acme-corp")
+ * @param {string} [defaultTenant] - Tenant of roles written without one
+ * @returns {{role: string, tenant: string}} Role and tenant keys
+ */
+export function parseRoleAssignment(assignment, defaultTenant = DEFAULT_TENANT) {
+  const [role, tenant] = assignment.trim().split(':');
+  if (!role) {
+    throw new Error(`Invalid role '${assignment}', expected "role" or "role:tenant"`);
+  }
+  return { role, tenant: tenant || defaultTenant };
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may contain commas, quotes and newlines)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+/**
+ * Convert CSV text to raw user entries, collecting invalid attribute values
+ */
+function csvToEntries(text, types, errors) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((row, index) => {
+    const entry = { attributes: {} };
+    columns.forEach((column, i) => {
+      const value = (row[i] ?? '').trim();
+      if (!value) {
+        return;
+      }
+      if (column === 'roles') {
+        entry.roles = value.split(';').map((role) => role.trim()).filter(Boolean);
+      } else if (USER_FIELDS.includes(column)) {
+        entry[column] = value;
+      } else {
+        try {
+          entry.attributes[column] = coerceAttributeValue(value, types[column]);
+        } catch (error) {
+          errors.push(`users[${index}].attributes.${column}: ${error.message}`);
+        }
+      }
+    });
+    return entry;
+  });
+}
+
+/**
+ * Validate raw user entries and normalize them to users with role assignments
+ */
+function normalizeEntries(entries, errors) {
+  if (!Array.isArray(entries)) {
+    errors.push('users: must be a list');
+    return [];
+  }
+
+  const seen = new Set();
+  return entries.flatMap((entry, i) => {
+    const path = `users[${i}]`;
+    if (typeof entry?.key !== 'string' || !entry.key.trim()) {
+      errors.push(`${path}.key: user key is required`);
+      return [];
+    }
+    if (seen.has(entry.key)) {
+      errors.push(`${path}.key: duplicate user '${entry.key}'`);
+    }
+    seen.add(entry.key);
+
+    if (entry.attributes !== undefined && (typeof entry.attributes !== 'object' || Array.isArray(entry.attributes))) {
+      errors.push(`${path}.attributes: must be an object`);
+    }
+
+    if (entry.roles !== undefined && !Array.isArray(entry.roles)) {
+      errors.push(`${path}.roles: must be a list`);
+    }
+
+    const roles = [];
+    for (const role of Array.isArray(entry.roles) ? entry.roles : []) {
+      if (typeof role === 'string' && role.trim()) {
+        try {
+          roles.push(parseRoleAssignment(role));
+        } catch (error) {
+          errors.push(`${path}.roles: ${error.message}`);
+        }
+      } else if (typeof role?.role === 'string') {
+        roles.push({ role: role.role, tenant: role.tenant || DEFAULT_TENANT });
+      } else {
+        errors.push(`${path}.roles: each role must be "role[:tenant]" or { role, tenant }`);
+      }
+    }
+
+    return [{
+      user: {
+        key: entry.key,
+        ...(entry.email ? { email: entry.email } : {}),
+        ...(entry.first_name ? { first_name: entry.first_name } : {}),
+        ...(entry.last_name ? { last_name: entry.last_name } : {}),
+        attributes: entry.attributes || {},
+      },
+      roles,
+    }];
+  });
+}
+
+/**
+ * Load users from a CSV, JSON or YAML file
+ * @param {string} filePath - Path to the file
+ * @param {object} [types] - User attribute types keyed by attribute, for CSV value coercion
+ * @returns {Array<{user: object, roles: Array}>} Users and their role assignments
+ */
+export function loadUsersFile(filePath, types = {}) {
+  const errors = [];
+  let entries;
+  try {
+    const text = readFileSync(filePath, 'utf8');
+    const extension = extname(filePath).toLowerCase();
+    if (extension === '.csv') {
+      entries = csvToEntries(text, types, errors);
+    } else {
+      const data = extension === '.json' ? JSON.parse(text) : YAML.parse(text);
+      entries = Array.isArray(data) ? data : data?.users;
+    }
+  } catch (error) {
+    throw new Error(`Could not read users file '${filePath}': ${error.message}`);
+  }
+
+  const users = normalizeEntries(entries, errors);
+  if (errors.length > 0) {
+    throw new Error(
+      `Users file '${filePath}' is invalid:\n` +
+      errors.map((error) => `  - ${error}`).join('\n')
+    );
+  }
+
+  return users;
+}
+
+/**
+ * Create or update users and assign their roles
+ *
+ * Existing users are updated with the fields and attributes from the file.
+ * Roles are only added; roles a user has that are not in the file are kept.
+ * @param {Array<{user: object, roles: Array}>} users - Users from loadUsersFile()
+ * @returns {Promise<{created: number, updated: number, assigned: number, failed: number}>} Summary of the import
+ */
+export async function importUsers(users) {
+  const summary = { created: 0, updated: 0, assigned: 0, failed: 0 };
+
+  // Without the existing users every user would be "created", and a 409 would skip the update
+  let existing;
+  try {
+    existing = new Set((await listUsers()).map((user) => user.key));
+  } catch (error) {
+    throw new Error(`Could not list existing users, nothing was imported: ${error.message}`);
+  }
+
+  for (const { user, roles } of users) {
+    if (existing.has(user.key)) {
+      const { key, ...changes } = user;
+      if (!await updateUser(key, changes)) {
+        summary.failed++;
+        continue;
+      }
+      summary.updated++;
+    } else {
+      if (!await createUser(user)) {
+        summary.failed++;
+        continue;
+      }
+      summary.created++;
+    }
+
+    for (const { role, tenant } of roles) {
+      if (await assignRole(user.key, role, tenant)) {
+        logger.success(`  Assigned ${role} in ${tenant} to ${user.key}`);
+        summary.assigned++;
+      } else {
+        logger.warning(`  Failed to assign ${role} in ${tenant} to ${user.key}`);
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+}
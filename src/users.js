@@ -0,0 +1,130 @@
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { permitApi, permitList } from './api.js';
+
+/**
+ * Users and role assignments (synced-user mode)
+ *
+ * The Horaion setup does not sync users (user sets match on attributes sent
+ * with each check), but other apps sync users and assign roles per tenant.
+ */
+
+/**
+ * List all users (every page)
+ * @returns {Promise<Array>} List of users
+ */
+export async function listUsers() {
+  return permitList(`/facts/${config.projectId}/${config.envId}/users`);
+}
+
+/**
+ * Get a user by key
+ * @param {string} userKey - The user key
+ * @returns {Promise<object|null>} The user data or null
+ */
+export async function getUser(userKey) {
+  const result = await permitApi(
+    'GET',
+    `/facts/${config.projectId}/${config.envId}/users/${userKey}`
+  );
+  return result.success ? result.data : null;
+}
+
+/**
+ * Create a user
+ * @param {object} user - User object with key, email, first_name, last_name, attributes
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function createUser(user) {
+  logger.info(`Creating user: ${user.key}`);
+  const result = await permitApi(
+    'POST',
+    `/facts/${config.projectId}/${config.envId}/users`,
+    user
+  );
+
+  if (result.success) {
+    logger.success(`User '${user.key}' created/exists`);
+    return true;
+  } else {
+    logger.warning(`Failed to create user '${user.key}'`);
+    return false;
+  }
+}
+
+/**
+ * Update a user
+ * @param {string} userKey - The user key
+ * @param {object} changes - Fields to update (email, first_name, last_name, attributes)
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function updateUser(userKey, changes) {
+  logger.info(`Updating user: ${userKey}`);
+  const result = await permitApi(
+    'PATCH',
+    `/facts/${config.projectId}/${config.envId}/users/${userKey}`,
+    changes
+  );
+
+  if (result.success) {
+    logger.success(`User '${userKey}' updated`);
+    return true;
+  } else {
+    logger.warning(`Failed to update user '${userKey}'`);
+    return false;
+  }
+}
+
+/**
+ * Delete a user by key (with all their role assignments)
+ * @param {string} userKey - The user key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteUser(userKey) {
+  const result = await permitApi(
+    'DELETE',
+    `/facts/${config.projectId}/${config.envId}/users/${userKey}`
+  );
+  return result.success || result.status === 404;
+}
+
+/**
+ * Assign a role to a user in a tenant
+ * @param {string} userKey - The user key
+ * @param {string} role - The role key
+ * @param {string} tenant - The tenant key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function assignRole(userKey, role, tenant) {
+  const result = await permitApi(
+    'POST',
+    `/facts/${config.projectId}/${config.envId}/users/${userKey}/roles`,
+    { role, tenant }
+  );
+  return result.success;
+}
+
+/**
+ * Remove a role from a user in a tenant
+ * @param {string} userKey - The user key
+ * @param {string} role - The role key
+ * @param {string} tenant - The tenant key
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function unassignRole(userKey, role, tenant) {
+  const result = await permitApi(
+    'DELETE',
+    `/facts/${config.projectId}/${config.envId}/users/${userKey}/roles`,
+    { role, tenant }
+  );
+  return result.success || result.status === 404;
+}
+
+/**
+ * List role assignments, optionally of one user or tenant
+ * @param {object} [filter] - Filter ({ user, tenant })
+ * @returns {Promise<Array>} Role assignments ({ user, role, tenant })
+ */
+export async function listRoleAssignments({ user, tenant } = {}) {
+  return permitList(`/facts/${config.projectId}/${config.envId}/role_assignments`, { user, tenant });
+}
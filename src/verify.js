@@ -5,17 +5,20 @@ import { listConditionSets, listSetRules } from './abac.js';
 
 /**
  * Verify the current Permit.io setup
+ * @returns {Promise<object>} What was found ({ roles, resources, userSets, resourceSets, setRules })
  */
 export async function verifySetup() {
   logger.info('Verifying setup...');
+  const found = { roles: null, resources: null, userSets: null, resourceSets: null, setRules: null };
 
   logger.blank();
   logger.info('Roles:');
   try {
     const roles = await listRoles();
+    found.roles = (roles || []).map(({ key, name }) => ({ key, name }));
     if (roles && roles.length > 0) {
       roles.forEach((role) => {
-        console.log(`  - ${role.key}: ${role.name}`);
+        logger.log(`  - ${role.key}: ${role.name}`);
       });
     } else {
       logger.warning('No roles found');
@@ -28,9 +31,10 @@ export async function verifySetup() {
   logger.info('Resources:');
   try {
     const resources = await listResources();
+    found.resources = (resources || []).map(({ key, name }) => ({ key, name }));
     if (resources && resources.length > 0) {
       resources.forEach((resource) => {
-        console.log(`  - ${resource.key}: ${resource.name}`);
+        logger.log(`  - ${resource.key}: ${resource.name}`);
       });
     } else {
       logger.warning('No resources found');
@@ -44,9 +48,10 @@ export async function verifySetup() {
   try {
     const conditionSets = await listConditionSets();
     const userSets = conditionSets?.filter((cs) => cs.type === 'userset') || [];
+    found.userSets = userSets.map(({ key, name }) => ({ key, name }));
     if (userSets.length > 0) {
       userSets.forEach((us) => {
-        console.log(`  - ${us.key}: ${us.name}`);
+        logger.log(`  - ${us.key}: ${us.name}`);
       });
     } else {
       logger.warning('No user sets found');
@@ -60,9 +65,10 @@ export async function verifySetup() {
   try {
     const conditionSets = await listConditionSets();
     const resourceSets = conditionSets?.filter((cs) => cs.type === 'resourceset') || [];
+    found.resourceSets = resourceSets.map(({ key, name }) => ({ key, name }));
     if (resourceSets.length > 0) {
       resourceSets.forEach((rs) => {
-        console.log(`  - ${rs.key}: ${rs.name}`);
+        logger.log(`  - ${rs.key}: ${rs.name}`);
       });
     } else {
       logger.warning('No resource sets found');
@@ -76,11 +82,14 @@ export async function verifySetup() {
   try {
     const rules = await listSetRules();
     const ruleCount = rules?.length ?? '?';
-    console.log(`  Total set rules: ${ruleCount}`);
+    found.setRules = rules?.length ?? null;
+    logger.log(`  Total set rules: ${ruleCount}`);
+    logger.log("  Run 'permit-setup matrix' to see what each role and user set is granted");
   } catch {
     logger.warning('Could not list set rules');
   }
 
   logger.blank();
   logger.success('Setup verification complete');
+  return found;
 }
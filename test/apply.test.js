@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPlan } from '../src/apply.js';
+import { setDryRun } from '../src/api.js';
+import { setOutputMode, getResults } from '../src/output.js';
+
+// Requests are recorded instead of sent, so the plan is applied without an API
+before(() => {
+  setDryRun(true);
+  setOutputMode({ quiet: true });
+});
+
+after(() => {
+  setDryRun(false);
+  setOutputMode({});
+});
+
+// A plan from computePlan() with one update and deletes in apply order
+const plan = {
+  changes: [
+    {
+      action: 'update',
+      type: 'role',
+      key: 'clerk',
+      desired: { key: 'clerk', name: 'Clerk', description: 'Clerk role' },
+      fields: [{ field: 'name', from: 'clerk', to: 'Clerk' }],
+    },
+    {
+      action: 'delete',
+      type: 'setRule',
+      key: 'billing -> invoice:read (__autogen_invoice)',
+      current: { userSet: 'billing', resourceSet: '__autogen_invoice', permission: 'invoice:read' },
+    },
+    { action: 'delete', type: 'userSet', key: 'billing', current: { key: 'billing' } },
+    {
+      action: 'delete',
+      type: 'rolePermission',
+      key: 'clerk -> invoice:read',
+      current: { role: 'clerk', permission: 'invoice:read' },
+    },
+    { action: 'delete', type: 'resource', key: 'invoice', current: { key: 'invoice' } },
+  ],
+  summary: { create: 0, update: 1, delete: 4 },
+};
+
+// Requests recorded while running an apply
+async function recordApply(options) {
+  const start = getResults().length;
+  const summary = await applyPlan(plan, options);
+  return { summary, requests: getResults().slice(start) };
+}
+
+test('skips every delete without prune', async () => {
+  const { summary, requests } = await recordApply();
+
+  assert.deepEqual(summary, { succeeded: 1, failed: 0, skipped: 4 });
+  assert.deepEqual(requests.map((r) => r.method), ['PATCH']);
+});
+
+test('sends the deletes in plan order with prune', async () => {
+  const { summary, requests } = await recordApply({ prune: true });
+
+  assert.deepEqual(summary, { succeeded: 5, failed: 0, skipped: 0 });
+  assert.deepEqual(
+    requests.map((r) => `${r.method} ${r.endpoint.replace(/^\/(schema|facts)\/[^/]+\/[^/]+/, '')}`),
+    [
+      'PATCH /roles/clerk',
+      'DELETE /set_rules',
+      'DELETE /condition_sets/billing',
+      'DELETE /roles/clerk/permissions',
+      'DELETE /resources/invoice',
+    ]
+  );
+  assert.deepEqual(requests[1].body, {
+    user_set: 'billing',
+    resource_set: '__autogen_invoice',
+    permission: 'invoice:read',
+  });
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCondition, buildConditions, describeConditions } from '../src/conditions.js';
+
+test('parses a condition and converts the value to the attribute type', () => {
+  assert.deepEqual(
+    parseCondition('user.groups array_contains billing', 'user', { groups: 'array' }),
+    { 'user.groups': { array_contains: 'billing' } }
+  );
+  assert.deepEqual(
+    parseCondition('user.level greater-than 3', 'user', { level: 'number' }),
+    { 'user.level': { 'greater-than': 3 } }
+  );
+  assert.deepEqual(
+    parseCondition('user.region in eu, uk', 'user', { region: 'string' }),
+    { 'user.region': { in: ['eu', 'uk'] } }
+  );
+  assert.deepEqual(
+    parseCondition('user.title equals head of sales', 'user'),
+    { 'user.title': { equals: 'head of sales' } }
+  );
+});
+
+test('rejects malformed conditions', () => {
+  assert.throws(() => parseCondition('user.groups billing', 'user'), /expected "user.<attribute> <operator> <value>"/);
+  assert.throws(() => parseCondition('resource.groups equals x', 'user'), /must start with 'user.'/);
+  assert.throws(() => parseCondition('user.groups has x', 'user'), /operator must be one of/);
+});
+
+test('rejects operators and values that do not fit the attribute type', () => {
+  assert.throws(
+    () => parseCondition('user.level contains 3', 'user', { level: 'number' }),
+    /contains does not apply to number attributes/
+  );
+  assert.throws(
+    () => parseCondition('user.level greater-than 0x10', 'user', { level: 'number' }),
+    /'0x10' is not a number/
+  );
+  assert.throws(
+    () => parseCondition('user.active equals yes', 'user', { active: 'bool' }),
+    /'yes' is not true or false/
+  );
+});
+
+test('takes numbers for numeric operators on attributes of unknown type', () => {
+  assert.deepEqual(parseCondition('user.level less-than 2.5', 'user'), { 'user.level': { 'less-than': 2.5 } });
+  assert.deepEqual(
+    parseCondition('user.meta greater-than 3', 'user', { meta: 'json' }),
+    { 'user.meta': { 'greater-than': 3 } }
+  );
+  assert.throws(() => parseCondition('user.level less-than Infinity', 'user'), /is not a number/);
+});
+
+test('turns user attribute values of resource conditions into references', () => {
+  assert.deepEqual(
+    parseCondition('resource.department equals user.department', 'resource', { department: 'string' }, { department: 'string' }),
+    { 'resource.department': { equals: { ref: 'user.department' } } }
+  );
+  assert.deepEqual(
+    parseCondition('resource.owner equals user.key', 'resource', { owner: 'string' }),
+    { 'resource.owner': { equals: { ref: 'user.key' } } }
+  );
+  assert.deepEqual(
+    parseCondition('user.department equals user.team', 'user'),
+    { 'user.department': { equals: 'user.team' } }
+  );
+});
+
+test('builds and describes condition trees', () => {
+  const conditions = buildConditions(['user.level greater-than 3', 'user.region equals eu'], 'user', true);
+
+  assert.deepEqual(conditions, {
+    anyOf: [{ 'user.level': { 'greater-than': 3 } }, { 'user.region': { equals: 'eu' } }],
+  });
+  assert.equal(describeConditions(conditions), 'user.level greater-than 3 or user.region equals "eu"');
+});
+
+test('checks that the operator can compare a resource attribute with the referenced user attribute', () => {
+  const types = { department: 'string', tags: 'array', budget: 'number' };
+  const userTypes = { department: 'string', groups: 'array', level: 'number', meta: 'json' };
+  const parse = (expression) => parseCondition(expression, 'resource', types, userTypes);
+
+  assert.deepEqual(
+    parse('resource.tags array_contains user.department'),
+    { 'resource.tags': { array_contains: { ref: 'user.department' } } }
+  );
+  assert.deepEqual(
+    parse('resource.budget less-than-equals user.level'),
+    { 'resource.budget': { 'less-than-equals': { ref: 'user.level' } } }
+  );
+  assert.deepEqual(parse('resource.department equals user.meta'), { 'resource.department': { equals: { ref: 'user.meta' } } });
+  assert.deepEqual(parse('resource.region starts_with user.department'), { 'resource.region': { starts_with: { ref: 'user.department' } } });
+
+  assert.throws(
+    () => parse('resource.department equals user.level'),
+    /equals cannot compare resource.department with user.level \(a number attribute\)/
+  );
+  assert.throws(() => parse('resource.tags array_contains user.groups'), /cannot compare resource.tags with user.groups/);
+  assert.throws(() => parse('resource.region greater-than user.department'), /cannot compare resource.region with user.department/);
+});
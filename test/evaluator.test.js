@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateConditions, evaluateCheck, modelAttributeTypes } from '../src/evaluator.js';
+import { normalizePolicy } from '../src/policy.js';
+
+const model = normalizePolicy({
+  resources: [{ key: 'invoice', actions: ['read', 'update'], attributes: { department: { type: 'string' } } }],
+  userAttributes: [{ key: 'groups', type: 'array' }, { key: 'department', type: 'string' }],
+  userSets: [
+    { key: 'billing', conditions: { allOf: [{ 'user.groups': { array_contains: 'billing' } }] } },
+  ],
+  resourceSets: [
+    {
+      key: 'own-department',
+      resource: 'invoice',
+      conditions: { allOf: [{ 'resource.department': { equals: { ref: 'user.department' } } }] },
+    },
+  ],
+  setRules: [
+    { userSet: 'billing', resource: 'invoice', actions: ['read'] },
+    { userSet: 'billing', resourceSet: 'own-department', actions: ['update'] },
+  ],
+});
+
+const check = (action, user, resource = {}) => evaluateCheck(model, {
+  user: { key: 'u1', attributes: user },
+  action,
+  resource: { type: 'invoice', tenant: 'default', attributes: resource },
+});
+
+test('evaluates nested allOf and anyOf groups', () => {
+  const conditions = {
+    allOf: [
+      { 'user.level': { 'greater-than-equals': 3 } },
+      { anyOf: [{ 'user.region': { in: ['eu', 'uk'] } }, { 'user.email': { ends_with: '@acme.com' } }] },
+    ],
+  };
+  const context = (user) => ({ user, resource: {} });
+
+  assert.equal(evaluateConditions(conditions, context({ level: 3, region: 'uk' })), true);
+  assert.equal(evaluateConditions(conditions, context({ level: 5, email: 'a@acme.com' })), true);
+  assert.equal(evaluateConditions(conditions, context({ level: 2, region: 'eu' })), false);
+  assert.equal(evaluateConditions(conditions, context({ level: '5', region: 'eu' })), false);
+  assert.equal(evaluateConditions({ allOf: [] }, context({})), true);
+});
+
+test('rejects operators it does not know', () => {
+  assert.throws(
+    () => evaluateConditions({ 'user.level': { between: [1, 2] } }, { user: {}, resource: {} }),
+    /Unsupported condition operator 'between'/
+  );
+});
+
+test('grants through a set rule on all resources of the type', () => {
+  const decision = check('read', { groups: ['billing'] });
+  assert.equal(decision.allow, true);
+  assert.equal(decision.debug.abac.reason, 'granted by billing + __autogen_invoice');
+
+  const denied = check('read', { groups: ['sales'] });
+  assert.equal(denied.allow, false);
+  assert.equal(denied.debug.abac.reason, 'user matches no user set');
+});
+
+test('compares resource attributes with a user attribute reference', () => {
+  const user = { groups: ['billing'], department: 'finance' };
+
+  assert.equal(check('update', user, { department: 'finance' }).allow, true);
+  const denied = check('update', user, { department: 'sales' });
+  assert.equal(denied.allow, false);
+  assert.equal(denied.debug.abac.reason, 'no set rule grants invoice:update to billing');
+});
+
+test('reads attribute types from the model', () => {
+  assert.deepEqual(modelAttributeTypes(model, 'invoice'), {
+    userTypes: { groups: 'array', department: 'string' },
+    resourceTypes: { department: 'string' },
+  });
+});
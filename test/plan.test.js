@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePlan } from '../src/plan.js';
+import { normalizePolicy } from '../src/policy.js';
+
+// Live state as fetchLiveState() returns it
+function liveState(overrides = {}) {
+  return {
+    resources: [
+      {
+        key: 'invoice',
+        name: 'Invoice',
+        description: 'Invoice resource',
+        actions: { read: { name: 'Read', description: '' }, update: { name: 'Update', description: '' } },
+        attributes: {},
+      },
+    ],
+    userAttributes: [{ key: 'groups', type: 'array', description: 'Groups attribute for ABAC' }],
+    roles: [
+      { key: 'admin', name: 'Admin', description: 'Admin role', permissions: ['invoice:read'] },
+      { key: 'clerk', name: 'Clerk', description: 'Clerk role', permissions: ['invoice:read'] },
+    ],
+    userSets: [
+      {
+        key: 'billing',
+        name: 'Billing',
+        description: 'Users in Billing set',
+        conditions: { allOf: [{ 'user.groups': { array_contains: 'billing' } }] },
+      },
+    ],
+    resourceSets: [],
+    setRules: [{ userSet: 'billing', resourceSet: '__autogen_invoice', permission: 'invoice:read' }],
+    ...overrides,
+  };
+}
+
+// Desired model matching liveState()
+function desiredModel() {
+  return normalizePolicy({
+    resources: [{ key: 'invoice', actions: ['read', 'update'] }],
+    userAttributes: [{ key: 'groups', type: 'array' }],
+    roles: [{ key: 'clerk', permissions: ['invoice:read'] }],
+    userSets: [{ key: 'billing', conditions: { allOf: [{ 'user.groups': { array_contains: 'billing' } }] } }],
+    resourceSets: [],
+    setRules: [{ userSet: 'billing', resource: 'invoice', actions: ['read'] }],
+  });
+}
+
+const describeChanges = (plan) => plan.changes.map((change) => `${change.action} ${change.type} ${change.key}`);
+
+test('plans nothing when the live state matches the policy', () => {
+  const plan = computePlan(desiredModel(), liveState());
+  assert.deepEqual(plan.changes, []);
+  assert.deepEqual(plan.summary, { create: 0, update: 0, delete: 0 });
+});
+
+test('compares action keys only, not action display names', () => {
+  const live = liveState();
+  live.resources[0].actions.read.name = 'View';
+  assert.deepEqual(computePlan(desiredModel(), live).changes, []);
+});
+
+test('plans creates and field updates', () => {
+  const desired = desiredModel();
+  desired.userSets[0].conditions = { allOf: [{ 'user.groups': { array_contains: 'finance' } }] };
+  desired.setRules.push({ userSet: 'billing', resourceSet: '__autogen_invoice', permission: 'invoice:update' });
+
+  const plan = computePlan(desired, liveState());
+  assert.deepEqual(describeChanges(plan), [
+    'update userSet billing',
+    'create setRule billing -> invoice:update (__autogen_invoice)',
+  ]);
+  assert.deepEqual(plan.changes[0].fields.map((f) => f.field), ['conditions']);
+});
+
+test('leaves out sections the policy does not declare', () => {
+  const { resources } = desiredModel();
+  const live = liveState({ userSets: [], setRules: [] });
+  live.roles.push({ key: 'auditor', name: 'Auditor', description: '', permissions: [] });
+
+  assert.deepEqual(computePlan({ resources }, live).changes, []);
+});
+
+test('never deletes protected roles or their permissions unless declared', () => {
+  const plan = computePlan(desiredModel(), liveState());
+  assert.ok(!describeChanges(plan).some((change) => change.includes('admin')));
+
+  const desired = desiredModel();
+  desired.roles.push({ key: 'admin', name: 'Admin', description: 'Admin role', permissions: [] });
+  assert.deepEqual(describeChanges(computePlan(desired, liveState())), [
+    'delete rolePermission admin -> invoice:read',
+  ]);
+});
+
+test('orders creates by dependency and deletes in reverse', () => {
+  const desired = normalizePolicy({
+    resources: [{ key: 'report', actions: ['read'] }],
+    userAttributes: [],
+    roles: [{ key: 'reader', permissions: ['report:read'] }],
+    userSets: [{ key: 'everyone', conditions: { allOf: [] } }],
+    resourceSets: [],
+    setRules: [{ userSet: 'everyone', resource: 'report', actions: ['read'] }],
+  });
+
+  assert.deepEqual(describeChanges(computePlan(desired, liveState())), [
+    'create resource report',
+    'create role reader',
+    'create rolePermission reader -> report:read',
+    'create userSet everyone',
+    'create setRule everyone -> report:read (__autogen_report)',
+    'delete setRule billing -> invoice:read (__autogen_invoice)',
+    'delete userSet billing',
+    'delete rolePermission clerk -> invoice:read',
+    'delete role clerk',
+    'delete userAttribute groups',
+    'delete resource invoice',
+  ]);
+});
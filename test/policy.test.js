@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import YAML from 'yaml';
+import { validatePolicy, normalizePolicy } from '../src/policy.js';
+
+const policy = () => ({
+  version: 1,
+  resources: [{ key: 'invoice', actions: ['read', 'update'], attributes: { department: { type: 'string' } } }],
+  userAttributes: [{ key: 'groups', type: 'array' }],
+  roles: [{ key: 'clerk', permissions: ['invoice:read'] }],
+  userSets: [{ key: 'billing', conditions: { allOf: [{ 'user.groups': { array_contains: 'billing' } }] } }],
+  resourceSets: [{ key: 'eu-invoices', resource: 'invoice', conditions: { allOf: [] } }],
+  setRules: [
+    { userSet: 'billing', resource: 'invoice', actions: ['read'] },
+    { userSet: 'billing', resourceSet: 'eu-invoices', actions: ['update'] },
+  ],
+});
+
+test('accepts a valid policy and the bundled example', () => {
+  assert.deepEqual(validatePolicy(policy()), []);
+
+  const example = YAML.parse(readFileSync(new URL('../examples/horaion.policy.yaml', import.meta.url), 'utf8'));
+  assert.deepEqual(validatePolicy(example), []);
+});
+
+test('reports unknown references with their path', () => {
+  const invalid = policy();
+  invalid.roles[0].permissions.push('invoice:delete', 'report:read');
+  invalid.setRules.push({ userSet: 'finance', resource: 'invoice', actions: ['read'] });
+
+  assert.deepEqual(validatePolicy(invalid), [
+    "roles[0].permissions[1]: resource 'invoice' has no action 'delete'",
+    "roles[0].permissions[2]: unknown resource 'report'",
+    "setRules[2].userSet: unknown user set 'finance'",
+  ]);
+});
+
+test('rejects unknown sections, duplicate keys and bad attribute types', () => {
+  assert.deepEqual(validatePolicy({ ...policy(), groups: [] }), ['groups: unknown section']);
+
+  const invalid = policy();
+  invalid.userAttributes.push({ key: 'groups', type: 'json' });
+  assert.deepEqual(validatePolicy(invalid), [
+    'userAttributes[1].type: must be one of string, number, bool, array',
+    "userAttributes: duplicate key 'groups'",
+  ]);
+});
+
+test('accepts keys, types and empty action lists from the API in snapshot mode', () => {
+  const snapshot = {
+    ...policy(),
+    resources: [
+      { key: 'invoice', actions: ['read', 'update'] },
+      { key: 'Blob', actions: {} },
+    ],
+    userAttributes: [{ key: 'meta', type: 'json' }],
+    tenants: [{ key: 'default' }],
+  };
+
+  assert.equal(validatePolicy(snapshot).length, 3);
+  assert.deepEqual(validatePolicy(snapshot, { snapshot: true }), []);
+  assert.deepEqual(validatePolicy({ ...snapshot, tenants: [{ key: '' }] }, { snapshot: true }), [
+    'tenants[0].key: tenant key is required',
+  ]);
+});
+
+test('normalizes defaults and expands set rules into permissions', () => {
+  const model = normalizePolicy(policy());
+
+  assert.deepEqual(model.roles, [
+    { key: 'clerk', name: 'Clerk', description: 'Clerk role', permissions: ['invoice:read'] },
+  ]);
+  assert.deepEqual(model.setRules, [
+    { userSet: 'billing', resourceSet: '__autogen_invoice', permission: 'invoice:read' },
+    { userSet: 'billing', resourceSet: 'eu-invoices', permission: 'invoice:update' },
+  ]);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { coerceAttributeValue, coerceConditionValue, operatorsForType, isRefCompatible } from '../src/presets.js';
+
+const operatorValues = (type) => operatorsForType(type).map((op) => op.value);
+
+test('converts attribute values to their declared type', () => {
+  assert.equal(coerceAttributeValue(' 42 ', 'number'), 42);
+  assert.equal(coerceAttributeValue('-2.5', 'number'), -2.5);
+  assert.equal(coerceAttributeValue('false', 'bool'), false);
+  assert.equal(coerceAttributeValue('5', 'string'), '5');
+  assert.deepEqual(coerceAttributeValue('billing, finance', 'array'), ['billing', 'finance']);
+  assert.deepEqual(coerceAttributeValue('["a,b", "c"]', 'array'), ['a,b', 'c']);
+});
+
+test('rejects values that do not fit the declared type', () => {
+  for (const value of ['abc', '0x10', '1e3', 'Infinity', '']) {
+    assert.throws(() => coerceAttributeValue(value, 'number'), /is not a number/, value);
+  }
+  assert.throws(() => coerceAttributeValue('yes', 'bool'), /is not true or false/);
+  assert.throws(() => coerceAttributeValue('[1,', 'array'), /is not a JSON array/);
+});
+
+test('parses JSON literals and lists for attributes of unknown type', () => {
+  assert.equal(coerceAttributeValue('5'), 5);
+  assert.equal(coerceAttributeValue('true'), true);
+  assert.equal(coerceAttributeValue('eu'), 'eu');
+  assert.deepEqual(coerceAttributeValue('eu,uk'), ['eu', 'uk']);
+});
+
+test('converts condition values for the operator', () => {
+  assert.deepEqual(coerceConditionValue('1, 2', 'number', 'in'), [1, 2]);
+  assert.equal(coerceConditionValue('7', undefined, 'greater-than'), 7);
+  assert.equal(coerceConditionValue('7', 'string', 'equals'), '7');
+  assert.equal(coerceConditionValue('billing', 'array', 'array_contains'), 'billing');
+  assert.throws(() => coerceConditionValue(' , ', 'string', 'in'), /At least one value is required/);
+  assert.throws(() => coerceConditionValue(' ', 'string', 'equals'), /Value is required/);
+});
+
+test('offers the operators of a type, or all of them for unknown types', () => {
+  assert.deepEqual(operatorValues('array'), ['array_contains']);
+  assert.deepEqual(operatorValues('bool'), ['equals', 'not_equals']);
+  assert.ok(operatorValues('number').includes('less-than-equals'));
+  assert.equal(operatorValues('json').length, operatorValues().length);
+});
+
+test('matches user attribute references to the operator and resource attribute type', () => {
+  assert.equal(isRefCompatible('equals', 'string', 'string'), true);
+  assert.equal(isRefCompatible('equals', 'string', 'number'), false);
+  assert.equal(isRefCompatible('array_contains', 'array', 'string'), true);
+  assert.equal(isRefCompatible('array_contains', 'array', 'array'), false);
+  assert.equal(isRefCompatible('contains', undefined, 'string'), true);
+  assert.equal(isRefCompatible('contains', undefined, 'number'), false);
+  assert.equal(isRefCompatible('greater-than', 'number', undefined), true);
+});
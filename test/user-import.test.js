@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadUsersFile, parseRoleAssignment } from '../src/user-import.js';
+
+let dir;
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), 'permit-user-import-'));
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Write a users file into the temporary directory
+function usersFile(name, text) {
+  const filePath = join(dir, name);
+  writeFileSync(filePath, text);
+  return filePath;
+}
+
+test('parses role assignments with and without a tenant', () => {
+  assert.deepEqual(parseRoleAssignment('admin:acme-corp'), { role: 'admin', tenant: 'acme-corp' });
+  assert.deepEqual(parseRoleAssignment(' viewer '), { role: 'viewer', tenant: 'default' });
+  assert.throws(() => parseRoleAssignment(':acme'), /Invalid role ':acme'/);
+});
+
+test('reads users, roles and typed attributes from CSV', () => {
+  const filePath = usersFile('users.csv', [
+    'key,email,first_name,last_name,roles,groups,level',
+    'alice,alice@acme.com,Alice,Smith,admin:acme-corp;viewer,"billing,finance",3',
+    '',
+    'bob,,,,,"say ""hi""",',
+  ].join('\r\n'));
+
+  assert.deepEqual(loadUsersFile(filePath, { groups: 'array', level: 'number' }), [
+    {
+      user: {
+        key: 'alice',
+        email: 'alice@acme.com',
+        first_name: 'Alice',
+        last_name: 'Smith',
+        attributes: { groups: ['billing', 'finance'], level: 3 },
+      },
+      roles: [{ role: 'admin', tenant: 'acme-corp' }, { role: 'viewer', tenant: 'default' }],
+    },
+    { user: { key: 'bob', attributes: { groups: ['say "hi"'] } }, roles: [] },
+  ]);
+});
+
+test('lists every invalid CSV row before importing anything', () => {
+  const filePath = usersFile('bad.csv', [
+    'key,roles,level',
+    'alice,:acme,abc',
+    ',viewer,1',
+    'carol,viewer,x',
+  ].join('\n'));
+
+  assert.throws(() => loadUsersFile(filePath, { level: 'number' }), (error) => {
+    assert.equal(error.message, [
+      `Users file '${filePath}' is invalid:`,
+      "  - users[0].attributes.level: 'abc' is not a number",
+      "  - users[2].attributes.level: 'x' is not a number",
+      `  - users[0].roles: Invalid role ':acme', expected "role" or "role:tenant"`,
+      '  - users[1].key: user key is required',
+    ].join('\n'));
+    return true;
+  });
+});
+
+test('reads users from YAML and rejects duplicate keys', () => {
+  const filePath = usersFile('users.yaml', [
+    'users:',
+    '  - key: alice',
+    '    roles: [admin, { role: viewer, tenant: acme }]',
+    '  - key: alice',
+  ].join('\n'));
+
+  assert.throws(() => loadUsersFile(filePath), /users\[1\]\.key: duplicate user 'alice'/);
+});